@@ -1,5 +1,21 @@
 // Load environment variables from .env into process.env
 require("dotenv").config();
+const path = require("path");
+
+// Comma-separated env list → lower-cased array
+function list(value) {
+  return (value || "")
+    .split(",")
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Seconds, overridable per data type via CACHE_TTL_<TYPE>
+function ttl(type, fallback) {
+  return (
+    parseInt(process.env[`CACHE_TTL_${type.toUpperCase()}`], 10) || fallback
+  );
+}
 
 module.exports = {
   github: {
@@ -7,9 +23,142 @@ module.exports = {
     token: process.env.GITHUB_TOKEN,
     clientId: process.env.GITHUB_CLIENT_ID,
     clientSecret: process.env.GITHUB_CLIENT_SECRET,
+    // Polling for 202 "stats computing" and backing off on 403/429 limits
+    retry: {
+      maxRetries: parseInt(process.env.GITHUB_MAX_RETRIES, 10) || 6,
+      baseDelayMs: 1000,
+      maxDelayMs: 30000,
+      // Give up (with a transient error) once this much time has passed
+      deadlineMs: parseInt(process.env.GITHUB_RETRY_DEADLINE_MS, 10) || 60000,
+    },
+    // Per-item requests (commit details, PR reviews) in flight at once;
+    // larger fan-outs trip the secondary rate limit
+    concurrency: parseInt(process.env.GITHUB_CONCURRENCY, 10) || 6,
+    // Closed PRs whose reviews/comments are fetched (1-2 calls each)
+    prReviewSample: parseInt(process.env.PR_REVIEW_SAMPLE, 10) || 50,
+    // Cap on commit-history pages (100 commits each) walked for churn
+    commitHistoryMaxPages:
+      parseInt(process.env.COMMIT_HISTORY_MAX_PAGES, 10) || 100,
+    // Recent commits whose changed files are fetched for file authorship
+    // (one call each)
+    authorshipSample: parseInt(process.env.AUTHORSHIP_SAMPLE, 10) || 300,
+    // GitHub Actions run history used for CI health
+    ciWindowDays: parseInt(process.env.CI_WINDOW_DAYS, 10) || 30,
+    ciMaxPages: parseInt(process.env.CI_MAX_PAGES, 10) || 3,
+    // Tags dated (one call each) when a repository has no releases
+    releaseTagSample: parseInt(process.env.RELEASE_TAG_SAMPLE, 10) || 30,
+    // Recent issues whose comments are fetched for first-response time
+    issueSample: parseInt(process.env.ISSUE_SAMPLE, 10) || 50,
+    // Open issues with no activity for this many days count as stale
+    staleIssueDays: parseInt(process.env.STALE_ISSUE_DAYS, 10) || 90,
+  },
+  bots: {
+    // Logins always treated as bots / never treated as bots
+    deny: list(process.env.BOT_DENYLIST),
+    allow: list(process.env.BOT_ALLOWLIST),
   },
   scorecard: {
     // CLI name or path for OpenSSF Scorecards (must be on PATH)
-    cliPath: "scorecard",
+    cliPath: process.env.SCORECARD_CLI || "scorecard",
+    // Kill the CLI if it has not finished after this many ms
+    timeoutMs: parseInt(process.env.SCORECARD_TIMEOUT_MS, 10) || 120000,
+  },
+  cache: {
+    enabled: process.env.CACHE_ENABLED !== "false",
+    // On-disk store for GitHub responses (survives restarts)
+    dir: process.env.CACHE_DIR || path.join(process.cwd(), ".cache", "github"),
+    // In-memory copies, least recently used dropped first (sizes are the
+    // serialised JSON length)
+    memory: {
+      maxEntries: parseInt(process.env.CACHE_MEMORY_MAX_ENTRIES, 10) || 1000,
+      maxBytes:
+        (parseInt(process.env.CACHE_MEMORY_MAX_MB, 10) || 64) * 1024 * 1024,
+    },
+    // TTL per data type: slow-moving stats are kept longer than alerts
+    ttl: {
+      commitStats: ttl("commitStats", 24 * 60 * 60),
+      contributors: ttl("contributors", 24 * 60 * 60),
+      commits: ttl("commits", 12 * 60 * 60),
+      search: ttl("search", 6 * 60 * 60),
+      reviews: ttl("reviews", 24 * 60 * 60),
+      comments: ttl("comments", 6 * 60 * 60),
+      readme: ttl("readme", 24 * 60 * 60),
+      tree: ttl("tree", 24 * 60 * 60),
+      contents: ttl("contents", 24 * 60 * 60),
+      repo: ttl("repo", 24 * 60 * 60),
+      community: ttl("community", 24 * 60 * 60),
+      // Blobs are addressed by content hash and never change
+      blob: ttl("blob", 30 * 24 * 60 * 60),
+      releases: ttl("releases", 6 * 60 * 60),
+      security: ttl("security", 6 * 60 * 60),
+      actions: ttl("actions", 60 * 60),
+      // Commit contents never change
+      commitDetail: ttl("commitDetail", 30 * 24 * 60 * 60),
+      alerts: ttl("alerts", 60 * 60),
+    },
+  },
+  advisories: {
+    // OSV-format JSON dump used to scan lockfiles when Dependabot alerts
+    // are not accessible
+    path:
+      process.env.ADVISORY_DB_PATH ||
+      path.join(process.cwd(), "data", "osv.json"),
+    // Lockfiles fetched per repository
+    maxManifests: parseInt(process.env.ADVISORY_MAX_MANIFESTS, 10) || 20,
+  },
+  snapshots: {
+    // Persist every computed score for /history
+    enabled: process.env.SNAPSHOTS_ENABLED !== "false",
+    dir:
+      process.env.SNAPSHOT_DIR || path.join(process.cwd(), "data", "snapshots"),
+  },
+  batch: {
+    // Repositories scored at the same time
+    concurrency: parseInt(process.env.BATCH_CONCURRENCY, 10) || 3,
+    maxConcurrency: 10,
+    // Requests always kept in reserve
+    minRemaining: parseInt(process.env.BATCH_MIN_REMAINING, 10) || 300,
+    // Estimated requests to score one repository on a cold cache (churn
+    // walk, authorship, PR reviews, issue comments, ...). A repository only
+    // starts when the quota covers this for every worker plus the reserve.
+    repoCost: parseInt(process.env.BATCH_REPO_COST, 10) || 800,
+    maxRepos: parseInt(process.env.BATCH_MAX_REPOS, 10) || 500,
+  },
+  jobs: {
+    // Jobs executed at the same time; the rest wait in a queue
+    workers: parseInt(process.env.JOB_WORKERS, 10) || 2,
+    // Job state is written here so it can be fetched after a reload/restart
+    dir: process.env.JOB_DIR || path.join(process.cwd(), "data", "jobs"),
+    // Finished jobs kept (with their results); older ones are deleted
+    retain: parseInt(process.env.JOB_RETAIN, 10) || 100,
+  },
+  scoring: {
+    // Default treatment of unmeasured metrics: "renormalise" or "strict"
+    missingData: process.env.SCORE_MISSING_DATA || "renormalise",
+    // JSON file with named weight profiles and normalisation curves
+    profilesPath:
+      process.env.SCORE_PROFILES_PATH || path.join(__dirname, "profiles.json"),
+    // Profile used when no ?profile= is given
+    profile: process.env.SCORE_PROFILE || "default",
+    // Lookback windows (days) accepted by ?window=, and the default
+    windows: [90, 180, 365],
+    window: parseInt(process.env.SCORE_WINDOW_DAYS, 10) || 180,
+    // Default normalisation: "curves" (profile anchors) or "percentile"
+    normalisation: process.env.SCORE_NORMALISATION || "curves",
+  },
+  calibration: {
+    // Raw metrics of previously scored repositories: JSON, JSON lines, CSV,
+    // or a snapshot directory
+    corpusPath:
+      process.env.CALIBRATION_CORPUS ||
+      path.join(process.cwd(), "data", "corpus.json"),
+    // Percentile curves built from the corpus by POST /api/calibration
+    path:
+      process.env.CALIBRATION_PATH ||
+      path.join(process.cwd(), "data", "calibration.json"),
+    // Split the corpus by "size" (contributor count) or "language"
+    stratify: process.env.CALIBRATION_STRATIFY || null,
+    // Fewer values than this fall back to the whole corpus, then the curve
+    minSamples: parseInt(process.env.CALIBRATION_MIN_SAMPLES, 10) || 20,
   },
 };
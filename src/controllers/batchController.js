@@ -0,0 +1,97 @@
+const { resolveScoreOptions } = require("../services/repoScoreService");
+const { runBatch, parseConcurrency } = require("../services/batchService");
+const config = require("../config");
+
+/**
+ * Check the batch body and return the list of "owner/repo" strings.
+ * @throws {Error} 400 if the list is missing, empty or too long
+ */
+function validateRepos(repos) {
+  if (!Array.isArray(repos) || repos.length === 0) {
+    const err = new Error('Body must include a non-empty "repos" array');
+    err.status = 400;
+    throw err;
+  }
+  if (repos.length > config.batch.maxRepos) {
+    const err = new Error(
+      `Too many repositories (${repos.length}); the limit is ${config.batch.maxRepos}`
+    );
+    err.status = 400;
+    throw err;
+  }
+  return repos;
+}
+
+/**
+ * POST /api/score/batch
+ * Scores a list of repositories with bounded concurrency.
+ *
+ * Body:
+ *   repos        ["owner/repo", ...]
+ *   concurrency  repositories scored at once (default BATCH_CONCURRENCY)
+ *   profile, missing, refresh, explain, window, labels, normalise  as for GET /api/score/:owner/:repo
+ *
+ * Responds with one JSON document, or NDJSON (one line per repository as it
+ * finishes, then a summary line) when ?format=ndjson or
+ * Accept: application/x-ndjson. If the client disconnects, the batch is
+ * aborted.
+ */
+async function scoreBatch(req, res, next) {
+  const body = req.body || {};
+  let repos;
+  let scoreOptions;
+  let concurrency;
+  try {
+    repos = validateRepos(body.repos);
+    concurrency = parseConcurrency(body.concurrency);
+    scoreOptions = resolveScoreOptions(body);
+  } catch (err) {
+    return next(err);
+  }
+
+  const ndjson =
+    req.query.format === "ndjson" ||
+    /application\/x-ndjson/.test(req.get("accept") || "");
+
+  const summarise = (results) => ({
+    count: results.length,
+    succeeded: results.filter((r) => r.ok).length,
+    failed: results.filter((r) => !r.ok).length,
+  });
+
+  // Abort the batch once the client has gone; nobody will read the results
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  const { signal } = controller;
+
+  try {
+    if (ndjson) {
+      res.status(200).type("application/x-ndjson");
+      const results = await runBatch(repos, {
+        scoreOptions,
+        concurrency,
+        signal,
+        onResult: (entry) => res.write(JSON.stringify(entry) + "\n"),
+      });
+      if (signal.aborted) return res.end();
+      res.write(JSON.stringify({ done: true, ...summarise(results) }) + "\n");
+      return res.end();
+    }
+
+    const results = await runBatch(repos, {
+      scoreOptions,
+      concurrency,
+      signal,
+    });
+    if (signal.aborted) return res.end();
+    return res.json({ ...summarise(results), results });
+  } catch (err) {
+    // Headers are already sent in NDJSON mode; just terminate the stream
+    if (res.headersSent) return res.end();
+    return next(err);
+  }
+}
+
+module.exports = { scoreBatch };
@@ -0,0 +1,34 @@
+const {
+  loadCalibration,
+  regenerateCalibration,
+} = require("../services/calibrationService");
+
+/**
+ * GET /api/calibration
+ * Returns the current percentile calibration (503 if none has been built).
+ */
+async function getCalibration(req, res, next) {
+  try {
+    return res.json(await loadCalibration());
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * POST /api/calibration
+ * Rebuilds the calibration file from the corpus (CALIBRATION_CORPUS).
+ *
+ * Body (optional):
+ *   stratify    size | language | none  (default CALIBRATION_STRATIFY)
+ *   minSamples  values a distribution needs before it is used
+ */
+async function postCalibration(req, res, next) {
+  try {
+    return res.json(await regenerateCalibration(req.body || {}));
+  } catch (err) {
+    return next(err);
+  }
+}
+
+module.exports = { getCalibration, postCalibration };
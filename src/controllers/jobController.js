@@ -0,0 +1,97 @@
+const {
+  createJob,
+  getJob,
+  cancelJob,
+  subscribe,
+  FINISHED,
+} = require("../services/jobService");
+
+/**
+ * POST /api/jobs
+ * Queues a scoring job and returns its id straight away.
+ *
+ * Body:
+ *   type         "score" or "batch"
+ *   repo         "owner/repo" (score jobs)
+ *   repos        ["owner/repo", ...] (batch jobs)
+ *   concurrency  batch concurrency
+ *   profile, missing, refresh, explain, window, labels, normalise  as for GET /api/score/:owner/:repo
+ */
+function postJob(req, res, next) {
+  const { type, repo, repos, concurrency, ...options } = req.body || {};
+  try {
+    const job = createJob({ type, repo, repos, concurrency, options });
+    return res
+      .status(202)
+      .location(`/api/jobs/${job.id}`)
+      .json({ id: job.id, status: job.status });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * GET /api/jobs/:id
+ * Returns the job status, progress and (when finished) result.
+ */
+function getJobStatus(req, res, next) {
+  try {
+    return res.json(getJob(req.params.id));
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancels a queued or running job.
+ */
+function postCancelJob(req, res, next) {
+  try {
+    return res.json(cancelJob(req.params.id));
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * GET /api/jobs/:id/events
+ * Streams job events over Server-Sent Events:
+ *   status    full job record, sent on connect and on every status change
+ *   progress  one fetch (or batch repository) finished
+ *   done      final job record; the stream then closes
+ */
+function streamJobEvents(req, res, next) {
+  let job;
+  try {
+    job = getJob(req.params.id);
+  } catch (err) {
+    return next(err);
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Current state first, so a client reconnecting after a reload catches up
+  send("status", job);
+  if (FINISHED.includes(job.status)) {
+    send("done", job);
+    return res.end();
+  }
+
+  const unsubscribe = subscribe(job.id, (event, data) => {
+    send(event, data);
+    if (event === "done") res.end();
+  });
+  req.on("close", unsubscribe);
+}
+
+module.exports = { postJob, getJobStatus, postCancelJob, streamJobEvents };
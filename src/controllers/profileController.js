@@ -0,0 +1,15 @@
+const { listProfiles } = require("../services/profileService");
+
+/**
+ * GET /api/profiles
+ * Lists the available scoring profiles with their weights and curves.
+ */
+function getProfiles(req, res, next) {
+  try {
+    return res.json({ profiles: listProfiles() });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+module.exports = { getProfiles };
@@ -1,136 +1,100 @@
 const {
-  getCommitActivity,
-  listRecentClosedIssues,
-  listRecentClosedPRs,
-  listContributors,
-  getReadme,
-  getDependabotAlerts,
-  getDeveloperChurn,
-  getTestPresence,
-} = require("../services/githubService");
-
-// const { runScorecard } = require('../services/scorecardService'); // Uncomment if using OSSF Scorecards
-
+  resolveScoreOptions,
+  scoreRepository,
+} = require("../services/repoScoreService");
+const { listSnapshots } = require("../services/snapshotService");
 const {
-  computeWeeklyAverage,
-  medianResolutionTime,
-  medianPRDuration,
-  countBadges,
-  estimateBusFactor,
-  countVulnerabilities,
-} = require("../utils/metricsCalculator");
-
-const { aggregateScore } = require("../utils/scoreAggregator");
+  filterComparable,
+  summariseTrend,
+} = require("../utils/trendCalculator");
+const { NORMALISATION_METHODS } = require("../utils/scoreAggregator");
+const config = require("../config");
 
 /**
  * GET /api/score/:owner/:repo
  * Returns repository health metrics.
+ *
+ * Query:
+ *   missing=renormalise|strict  how unmeasured metrics affect the score
+ *   explain=true                add a sentence per metric explaining its points
+ *   profile=<name>              scoring profile (see GET /api/profiles)
+ *   refresh=true                bypass the GitHub response cache
+ *   window=90d|180d|365d        lookback window for issue/PR medians
+ *   labels=bug,regression       only count issues with any of these labels
+ *   normalise=curves|percentile  profile curves, or percentiles in the
+ *                               reference corpus (see /api/calibration)
  */
 async function getRepoScore(req, res, next) {
   const { owner, repo } = req.params;
-  const metrics = {
-    commitFreq: null,
-    issueResTime: null,
-    prReviewDuration: null,
-    contributorCount: null,
-    testFolderExists: null,
-    badgeCount: null,
-    developerChurn: null,
-    busFactor: null,
-    vulnerabilityCount: null,
-    overallScore: null,
-  };
-  const errors = {};
-
-  // Execute all data-fetching calls in parallel
-  const calls = {
-    commitData: getCommitActivity(owner, repo).catch((err) => {
-      errors.commitFreq = err.message;
-      return null;
-    }),
-    issues: listRecentClosedIssues(owner, repo).catch((err) => {
-      errors.issueResTime = err.message;
-      return null;
-    }),
-    prs: listRecentClosedPRs(owner, repo).catch((err) => {
-      errors.prReviewDuration = err.message;
-      return null;
-    }),
-    contributors: listContributors(owner, repo).catch((err) => {
-      errors.contributorCount = err.message;
-      return null;
-    }),
-    testExists: getTestPresence(owner, repo).catch((err) => {
-      errors.testFolderExists = err.message;
-      return null;
-    }),
-    readme: getReadme(owner, repo).catch((err) => {
-      errors.badgeCount = err.message;
-      return null;
-    }),
-    alerts: getDependabotAlerts(owner, repo).catch((err) => {
-      errors.vulnerabilityCount = err.message;
-      return null;
-    }),
-    churn: getDeveloperChurn(owner, repo).catch((err) => {
-      errors.developerChurn = err.message;
-      return null;
-    }),
-  };
-
-  const [
-    commitData,
-    issues,
-    prs,
-    contributors,
-    testExists,
-    readme,
-    alerts,
-    churn,
-  ] = await Promise.all([
-    calls.commitData,
-    calls.issues,
-    calls.prs,
-    calls.contributors,
-    calls.testExists,
-    calls.readme,
-    calls.alerts,
-    calls.churn,
-  ]);
-
-  // Compute metrics from fetched data
-  if (commitData) {
-    metrics.commitFreq = computeWeeklyAverage(commitData);
-  }
-  if (issues) {
-    metrics.issueResTime = medianResolutionTime(issues);
-  }
-  if (prs) {
-    metrics.prReviewDuration = medianPRDuration(prs);
-  }
-  if (contributors) {
-    metrics.contributorCount = contributors.length;
-    metrics.busFactor = estimateBusFactor(contributors);
-  }
-  // Developer churn from service
-  if (churn !== null) {
-    metrics.developerChurn = churn;
-  }
-  if (testExists !== null) metrics.testFolderExists = testExists;
-  if (readme) {
-    metrics.badgeCount = countBadges(readme);
-  }
-  if (alerts) {
-    metrics.vulnerabilityCount = countVulnerabilities(alerts);
+  try {
+    const options = resolveScoreOptions(req.query);
+    const response = await scoreRepository(owner, repo, options);
+    return res.json(response);
+  } catch (err) {
+    return next(err);
   }
+}
 
-  metrics.overallScore = aggregateScore(metrics);
+/**
+ * Parse an optional ISO date query parameter.
+ * @returns {Date|undefined}
+ * @throws {Error} 400 if the value is not a valid date
+ */
+function parseDateParam(name, value) {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    const err = new Error(`Invalid "${name}" date: ${value}`);
+    err.status = 400;
+    throw err;
+  }
+  return date;
+}
 
-  const response = { owner, repo, metrics };
-  if (Object.keys(errors).length) {
-    response.errors = errors;
+/**
+ * GET /api/score/:owner/:repo/history
+ * Returns stored score snapshots and a per-metric trend summary.
+ *
+ * Only snapshots scored the same way are compared; the scoring setup is
+ * chosen with the same parameters as the score itself and defaults alike.
+ *
+ * Query:
+ *   from=<ISO date>  only snapshots at or after this time
+ *   to=<ISO date>    only snapshots at or before this time
+ *   profile, missing, normalise, window, labels  as for GET /api/score/:owner/:repo
+ */
+async function getScoreHistory(req, res, next) {
+  const { owner, repo } = req.params;
+  try {
+    const from = parseDateParam("from", req.query.from);
+    const to = parseDateParam("to", req.query.to);
+    const { profile, mode, normalisation, windowDays, labels } =
+      resolveScoreOptions(req.query);
+    const scoring = {
+      profile: profile.name,
+      mode,
+      normalisation,
+      windowDays,
+      labels,
+    };
+    const all = await listSnapshots(owner, repo, { from, to });
+    const snapshots = filterComparable(all, scoring, {
+      normalisation: NORMALISATION_METHODS.curves,
+      windowDays: config.scoring.window,
+    });
+    return res.json({
+      owner,
+      repo,
+      scoring,
+      count: snapshots.length,
+      // snapshots in the range that were scored another way
+      excluded: all.length - snapshots.length,
+      trend: summariseTrend(snapshots),
+      snapshots,
+    });
+  } catch (err) {
+    return next(err);
   }
-  return res.json(response);
 }
 
-module.exports = { getRepoScore };
+module.exports = { getRepoScore, getScoreHistory };
@@ -2,8 +2,19 @@
 require("dotenv").config();
 const express = require("express");
 const repoRoutes = require("./routes/repoRoutes");
+const profileRoutes = require("./routes/profileRoutes");
+const jobRoutes = require("./routes/jobRoutes");
+const calibrationRoutes = require("./routes/calibrationRoutes");
+const { loadProfiles } = require("./services/profileService");
+const { loadJobs } = require("./services/jobService");
 const { errorHandler } = require("./middlewares/authMiddleware");
 
+// Fail fast on an invalid scoring profile file
+loadProfiles();
+
+// Restore job records so ids issued before a restart still resolve
+loadJobs().catch((err) => console.error(`Could not load jobs: ${err.message}`));
+
 const app = express();
 
 // Middleware: parse JSON
@@ -24,21 +35,15 @@ app.get("/ping", (req, res) => {
 // 1. Rate‐limit status
 app.get("/rate-limit", async (req, res, next) => {
   try {
-    const { Octokit } = require("@octokit/rest");
-    const config = require("./config");
-    const octokit = new Octokit({ auth: config.github.token });
-    const { data } = await octokit.rest.rateLimit.get();
-    res.json({
-      limit: data.rate.limit,
-      remaining: data.rate.remaining,
-      reset: data.rate.reset, // UNIX timestamp when limit resets
-    });
+    const { getRateLimit } = require("./services/githubService");
+    // reset is the UNIX timestamp when the limit resets
+    res.json(await getRateLimit());
   } catch (err) {
     next(err);
   }
 });
 
-// 2. Issues (first 100, last 6 months) → median resolution
+// 2. Issues (all closed, last 6 months) → median resolution
 app.get("/api/score/issues-test/:owner/:repo", async (req, res, next) => {
   try {
     const { listRecentClosedIssues } = require("./services/githubService");
@@ -54,7 +59,7 @@ app.get("/api/score/issues-test/:owner/:repo", async (req, res, next) => {
   }
 });
 
-// 3. PRs (first 100, last 6 months) → median review duration
+// 3. PRs (all closed, last 6 months) → median review duration
 app.get("/api/score/prs-test/:owner/:repo", async (req, res, next) => {
   try {
     const { listRecentClosedPRs } = require("./services/githubService");
@@ -67,33 +72,40 @@ app.get("/api/score/prs-test/:owner/:repo", async (req, res, next) => {
   }
 });
 
-// 4. Contributors → count, bus factor, churn (churn is stubbed)
+// 4. Contributors → count, bus factor, churn, newcomer retention
 app.get("/api/score/contrib-test/:owner/:repo", async (req, res, next) => {
   try {
-    const { listContributors } = require("./services/githubService");
     const {
-      estimateBusFactor,
-      computeChurn,
-    } = require("./utils/metricsCalculator");
-    const contribs = await listContributors(req.params.owner, req.params.repo);
+      listContributors,
+      getDeveloperChurn,
+    } = require("./services/githubService");
+    const { estimateBusFactor } = require("./utils/metricsCalculator");
+    const { owner, repo } = req.params;
+    const [contribs, churn] = await Promise.all([
+      listContributors(owner, repo),
+      getDeveloperChurn(owner, repo),
+    ]);
     res.json({
       contributorsFetched: contribs.length,
       busFactor: estimateBusFactor(contribs),
-      churn: computeChurn(contribs, []), // stub
+      churn: churn.churn,
+      newcomerRetention: churn.newcomerRetention,
     });
   } catch (e) {
     next(e);
   }
 });
 
-// 6. README → badge count
+// 6. README → sections, badges, examples, quality
 app.get("/api/score/readme-test/:owner/:repo", async (req, res, next) => {
   try {
     const { getReadme } = require("./services/githubService");
-    const { countBadges } = require("./utils/metricsCalculator");
+    const { analyseReadme, scoreReadme } = require("./utils/markdownParser");
     const md = await getReadme(req.params.owner, req.params.repo);
+    const analysis = analyseReadme(md);
     res.json({
-      badgeCount: countBadges(md),
+      ...analysis,
+      quality: scoreReadme(analysis),
       snippet: md.slice(0, 100),
     });
   } catch (e) {
@@ -101,15 +113,23 @@ app.get("/api/score/readme-test/:owner/:repo", async (req, res, next) => {
   }
 });
 
-// 7. Dependabot alerts → vulnerability count
+// 7. Dependabot alerts → severity summary and grade
 app.get("/api/score/vuln-test/:owner/:repo", async (req, res, next) => {
   try {
     const { getDependabotAlerts } = require("./services/githubService");
-    const { countVulnerabilities } = require("./utils/metricsCalculator");
+    const {
+      summariseVulnerabilities,
+      scoreVulnerabilities,
+    } = require("./utils/metricsCalculator");
     const alerts = await getDependabotAlerts(req.params.owner, req.params.repo);
+    if (!alerts) {
+      return res.json({ alertsFetched: null, accessible: false });
+    }
+    const summary = summariseVulnerabilities(alerts);
     res.json({
       alertsFetched: alerts.length,
-      openVulnerabilities: countVulnerabilities(alerts),
+      ...summary,
+      grade: scoreVulnerabilities(summary),
     });
   } catch (e) {
     next(e);
@@ -118,6 +138,9 @@ app.get("/api/score/vuln-test/:owner/:repo", async (req, res, next) => {
 
 // Mount our repository score routes
 app.use("/api/score", repoRoutes);
+app.use("/api/profiles", profileRoutes);
+app.use("/api/jobs", jobRoutes);
+app.use("/api/calibration", calibrationRoutes);
 
 // Global error handler
 app.use(errorHandler);
@@ -0,0 +1,16 @@
+// src/routes/calibrationRoutes.js
+
+const express = require("express");
+const {
+  getCalibration,
+  postCalibration,
+} = require("../controllers/calibrationController");
+const router = express.Router();
+
+// Current percentile calibration
+router.get("/", getCalibration);
+
+// Regenerate it from the reference corpus
+router.post("/", postCalibration);
+
+module.exports = router;
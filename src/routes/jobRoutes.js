@@ -0,0 +1,24 @@
+// src/routes/jobRoutes.js
+
+const express = require("express");
+const {
+  postJob,
+  getJobStatus,
+  postCancelJob,
+  streamJobEvents,
+} = require("../controllers/jobController");
+const router = express.Router();
+
+// Start a score or batch job
+router.post("/", postJob);
+
+// Status and result
+router.get("/:id", getJobStatus);
+
+// Progress stream (Server-Sent Events)
+router.get("/:id/events", streamJobEvents);
+
+// Cancel a queued or running job
+router.post("/:id/cancel", postCancelJob);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+// src/routes/profileRoutes.js
+
+const express = require("express");
+const { getProfiles } = require("../controllers/profileController");
+const router = express.Router();
+
+// List scoring profiles
+router.get("/", getProfiles);
+
+module.exports = router;
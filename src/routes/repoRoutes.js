@@ -1,7 +1,11 @@
 // src/routes/repoRoutes.js
 
 const express = require("express");
-const { getRepoScore } = require("../controllers/repoController");
+const {
+  getRepoScore,
+  getScoreHistory,
+} = require("../controllers/repoController");
+const { scoreBatch } = require("../controllers/batchController");
 const router = express.Router();
 
 // Existing test route
@@ -9,7 +13,13 @@ router.get("/test", (req, res) => {
   res.json({ ok: true });
 });
 
+// Score many owner/repo pairs in one request
+router.post("/batch", scoreBatch);
+
 // New dynamic route for owner/repo
 router.get("/:owner/:repo", getRepoScore);
 
+// Stored snapshots and trend for owner/repo
+router.get("/:owner/:repo/history", getScoreHistory);
+
 module.exports = router;
@@ -0,0 +1,146 @@
+// src/services/advisoryService.js
+
+const fs = require("fs/promises");
+const { getRepoTree, getBlob } = require("./githubService");
+const { findManifests, parseManifest } = require("../utils/manifestParser");
+const { isAffected, packageKey, osvSeverity } = require("../utils/osvMatcher");
+const config = require("../config");
+
+// OSV records indexed by packageKey (loaded once)
+let advisories = null;
+let advisoryCount = 0;
+
+/**
+ * Load the local OSV advisory dump: a JSON array of OSV records, or an
+ * object with a `vulns` array.
+ *
+ * @returns {Promise<Map<string, object[]>>} records by packageKey
+ * @throws {Error} 503 if the file is missing or not valid OSV JSON
+ */
+async function loadAdvisories() {
+  if (advisories) return advisories;
+  let records;
+  try {
+    const parsed = JSON.parse(
+      await fs.readFile(config.advisories.path, "utf-8")
+    );
+    records = Array.isArray(parsed) ? parsed : parsed.vulns;
+    if (!Array.isArray(records)) {
+      throw new Error("expected an array of records");
+    }
+  } catch (err) {
+    const error = new Error(
+      err.code === "ENOENT"
+        ? `Advisory database not found at ${config.advisories.path}`
+        : `Invalid advisory database ${config.advisories.path}: ${err.message}`
+    );
+    error.status = 503;
+    throw error;
+  }
+
+  const index = new Map();
+  records.forEach((vuln) => {
+    (vuln.affected || []).forEach((affected) => {
+      if (!affected.package) return;
+      const key = packageKey(affected.package.ecosystem, affected.package.name);
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(vuln);
+    });
+  });
+  advisories = index;
+  advisoryCount = records.length;
+  return advisories;
+}
+
+/**
+ * Match resolved dependencies against the advisory database.
+ *
+ * @param {Array<{ ecosystem: string, name: string, version: string, dev: boolean }>} deps
+ * @returns {Promise<Array<object>>} One finding per vulnerable package version,
+ *   in the shape of getDependabotAlerts (state "open", no timestamps) plus
+ *   the advisory id and installed version
+ */
+async function matchDependencies(deps) {
+  const index = await loadAdvisories();
+  const findings = [];
+  // The same package version may be pinned in several lockfiles
+  const seen = new Set();
+  deps.forEach((dep) => {
+    const key = packageKey(dep.ecosystem, dep.name);
+    (index.get(key) || []).forEach((vuln) => {
+      const hit = vuln.affected.some(
+        (affected) =>
+          affected.package &&
+          packageKey(affected.package.ecosystem, affected.package.name) ===
+            key &&
+          isAffected(affected, dep.version)
+      );
+      const id = `${vuln.id} ${key}@${dep.version}`;
+      if (!hit || seen.has(id)) return;
+      seen.add(id);
+      findings.push({
+        id: vuln.id,
+        state: "open",
+        severity: osvSeverity(vuln),
+        cvss: null,
+        ecosystem: dep.ecosystem,
+        package: dep.name,
+        version: dep.version,
+        scope: dep.dev ? "development" : "runtime",
+        createdAt: null,
+        fixedAt: null,
+        dismissedAt: null,
+        dismissedReason: null,
+      });
+    });
+  });
+  return findings;
+}
+
+/**
+ * Scan a repository's lockfiles (package-lock.json, yarn.lock,
+ * requirements.txt, go.sum, Cargo.lock) against the local advisory
+ * database. Used when Dependabot alerts are not accessible.
+ *
+ * @param {string} owner
+ * @param {string} repo
+ * @param {object} [options] - cache options, see cachedRequest
+ * @returns {Promise<{ alerts: object[], manifests: string[], skipped: object, dependencies: number, advisories: number, truncated: boolean }>}
+ *   skipped maps manifests that could not be parsed to the reason;
+ *   truncated is set when the tree listing was cut short, so lockfiles may
+ *   have been missed
+ */
+async function scanRepository(owner, repo, options = {}) {
+  // Fail before fetching anything if there is no database to match against
+  await loadAdvisories();
+  const tree = await getRepoTree(owner, repo, options);
+  const shaByPath = new Map(tree.files.map((f) => [f.path, f.sha]));
+  const manifests = findManifests(tree.files.map((f) => f.path)).slice(
+    0,
+    config.advisories.maxManifests
+  );
+
+  const skipped = {};
+  const deps = [];
+  await Promise.all(
+    manifests.map(async (path) => {
+      const content = await getBlob(owner, repo, shaByPath.get(path), options);
+      try {
+        deps.push(...parseManifest(path, content));
+      } catch (err) {
+        skipped[path] = err.message;
+      }
+    })
+  );
+
+  return {
+    alerts: await matchDependencies(deps),
+    manifests,
+    skipped,
+    dependencies: deps.length,
+    advisories: advisoryCount,
+    truncated: tree.truncated,
+  };
+}
+
+module.exports = { loadAdvisories, matchDependencies, scanRepository };
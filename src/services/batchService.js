@@ -0,0 +1,138 @@
+// src/services/batchService.js
+
+const { getRateLimit } = require("./githubService");
+const { scoreRepository } = require("./repoScoreService");
+const config = require("../config");
+
+const REPO_SPEC = /^([A-Za-z0-9_.-]+)\/([A-Za-z0-9_.-]+)$/;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Split an "owner/repo" string.
+ *
+ * @param {string} spec
+ * @returns {{ owner: string, repo: string }}
+ * @throws {Error} If the string is not of the form owner/repo
+ */
+function parseRepoSpec(spec) {
+  const match = typeof spec === "string" && spec.trim().match(REPO_SPEC);
+  if (!match) {
+    throw new Error(`Invalid repository "${spec}" (expected owner/repo)`);
+  }
+  return { owner: match[1], repo: match[2] };
+}
+
+/**
+ * Parse a requested batch concurrency.
+ *
+ * @param {number|string} [value]
+ * @returns {number|undefined} undefined when not given (use the default)
+ * @throws {Error} 400 if the value is not a positive integer
+ */
+function parseConcurrency(value) {
+  if (value === undefined || value === null) return undefined;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) {
+    const err = new Error(
+      `Invalid concurrency "${value}" (expected a positive integer)`
+    );
+    err.status = 400;
+    throw err;
+  }
+  return n;
+}
+
+/**
+ * Block until the core API quota has at least `minRemaining` requests left,
+ * sleeping until the reported reset time if needed. A threshold above the
+ * quota's limit waits for a full reset.
+ *
+ * @param {number} minRemaining
+ * @returns {Promise<{ limit: number, remaining: number, reset: number }>}
+ */
+async function waitForBudget(minRemaining) {
+  let rate = await getRateLimit();
+  while (rate.remaining < Math.min(minRemaining, rate.limit)) {
+    // +1s so we wake up after GitHub has actually reset the window
+    const waitMs = Math.max(0, rate.reset * 1000 - Date.now()) + 1000;
+    console.warn(
+      `Rate limit low (${rate.remaining}/${rate.limit}); pausing ${Math.round(
+        waitMs / 1000
+      )}s until reset`
+    );
+    await sleep(waitMs);
+    rate = await getRateLimit();
+  }
+  return rate;
+}
+
+/**
+ * Score many repositories with a bounded number running at once.
+ *
+ * Before each repository starts, the remaining quota is checked and the
+ * worker pauses until reset unless it covers config.batch.repoCost for every
+ * worker (the others may be mid-repository) plus config.batch.minRemaining.
+ * A failing repository never stops the batch; it is reported with ok=false.
+ *
+ * @param {string[]} specs  "owner/repo" strings
+ * @param {object} options
+ * @param {object} options.scoreOptions  as returned by resolveScoreOptions
+ * @param {number} [options.concurrency]
+ * @param {(result: object, index: number) => void} [options.onResult]
+ *   called as each repository finishes (in completion order)
+ * @param {(repo: string, event: object) => void} [options.onProgress]
+ *   per-fetch progress for each repository, see scoreRepository
+ * @param {AbortSignal} [options.signal]  stop starting new repositories and
+ *   abort the fetches of those in flight
+ * @returns {Promise<Array<{ repo: string, ok: boolean, result?: object, error?: string }>>}
+ *   results in input order (entries never started after an abort are undefined)
+ */
+async function runBatch(specs, options) {
+  const { scoreOptions, onResult, onProgress, signal } = options;
+  const concurrency = Math.min(
+    Math.max(1, options.concurrency || config.batch.concurrency),
+    config.batch.maxConcurrency
+  );
+  const budget =
+    config.batch.minRemaining + concurrency * config.batch.repoCost;
+  const results = new Array(specs.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < specs.length && !(signal && signal.aborted)) {
+      const index = next++;
+      const spec = specs[index];
+      let entry;
+      try {
+        const { owner, repo } = parseRepoSpec(spec);
+        await waitForBudget(budget);
+        const result = await scoreRepository(
+          owner,
+          repo,
+          { ...scoreOptions, signal },
+          onProgress && ((event) => onProgress(`${owner}/${repo}`, event))
+        );
+        entry = { repo: `${owner}/${repo}`, ok: true, result };
+      } catch (err) {
+        entry = { repo: String(spec), ok: false, error: err.message };
+      }
+      results[index] = entry;
+      if (onResult) onResult(entry, index);
+    }
+  }
+
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, specs.length) }, worker)
+  );
+  return results;
+}
+
+module.exports = {
+  runBatch,
+  parseRepoSpec,
+  parseConcurrency,
+  waitForBudget,
+};
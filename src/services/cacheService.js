@@ -0,0 +1,131 @@
+// src/services/cacheService.js
+
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const config = require("../config");
+
+// In-memory layer, in front of the on-disk store. Least recently used
+// entries are dropped beyond config.cache.memory limits; the disk store
+// still has them. Map order is use order, oldest first.
+const memory = new Map();
+let memoryBytes = 0;
+
+function forget(key) {
+  const held = memory.get(key);
+  if (!held) return;
+  memoryBytes -= held.bytes;
+  memory.delete(key);
+}
+
+/** Keep an entry in memory; `bytes` is the size of its JSON. */
+function remember(key, entry, bytes) {
+  forget(key);
+  const { maxEntries, maxBytes } = config.cache.memory;
+  // One oversized response should not flush everything else
+  if (bytes > maxBytes) return;
+  memory.set(key, { entry, bytes });
+  memoryBytes += bytes;
+  while (memory.size > maxEntries || memoryBytes > maxBytes) {
+    forget(memory.keys().next().value);
+  }
+}
+
+function recall(key) {
+  const held = memory.get(key);
+  if (!held) return null;
+  // Move to the most recently used end
+  memory.delete(key);
+  memory.set(key, held);
+  return held.entry;
+}
+
+/**
+ * Build a stable cache key from a route and its parameters.
+ *
+ * @param {string} route   e.g. "GET /repos/{owner}/{repo}/contributors"
+ * @param {object} params
+ * @returns {string}
+ */
+function cacheKey(route, params) {
+  const sorted = Object.keys(params)
+    .sort()
+    .map((k) => [k, params[k]]);
+  return `${route} ${JSON.stringify(sorted)}`;
+}
+
+function filePath(key) {
+  const hash = crypto.createHash("sha1").update(key).digest("hex");
+  return path.join(config.cache.dir, `${hash}.json`);
+}
+
+/**
+ * Read a cache entry, checking memory first and then disk.
+ *
+ * @param {string} key
+ * @returns {Promise<{ data: any, etag: string|null, storedAt: number }|null>}
+ */
+async function read(key) {
+  if (!config.cache.enabled) return null;
+  const held = recall(key);
+  if (held) return held;
+  try {
+    const content = await fs.readFile(filePath(key), "utf-8");
+    const entry = JSON.parse(content);
+    remember(key, entry, content.length);
+    return entry;
+  } catch (err) {
+    // Missing or corrupt file → treat as a miss
+    return null;
+  }
+}
+
+/**
+ * Store a cache entry in memory (within the LRU limits) and on disk.
+ * Disk failures are logged but never fail the request.
+ *
+ * @param {string} key
+ * @param {{ data: any, etag?: string|null }} value
+ * @returns {Promise<void>}
+ */
+async function write(key, { data, etag = null }) {
+  if (!config.cache.enabled) return;
+  const entry = { data, etag, storedAt: Date.now() };
+  const content = JSON.stringify(entry);
+  remember(key, entry, content.length);
+  try {
+    await fs.mkdir(config.cache.dir, { recursive: true });
+    await fs.writeFile(filePath(key), content);
+  } catch (err) {
+    console.warn(`Cache write failed for ${key}: ${err.message}`);
+  }
+}
+
+/**
+ * @param {{ storedAt: number }} entry
+ * @param {number} ttlSeconds
+ * @returns {boolean} true if the entry is younger than its TTL
+ */
+function isFresh(entry, ttlSeconds) {
+  return Date.now() - entry.storedAt < ttlSeconds * 1000;
+}
+
+/**
+ * Counters for one logical fetch, filled in by the GitHub service.
+ * @returns {{ hits: number, misses: number, revalidated: number }}
+ */
+function newCacheStats() {
+  return { hits: 0, misses: 0, revalidated: 0 };
+}
+
+/**
+ * Drop everything from memory and disk.
+ * @returns {Promise<void>}
+ */
+async function clear() {
+  memory.clear();
+  memoryBytes = 0;
+  await fs.rm(config.cache.dir, { recursive: true, force: true });
+}
+
+module.exports = { cacheKey, read, write, isFresh, newCacheStats, clear };
@@ -0,0 +1,311 @@
+// src/services/calibrationService.js
+
+const fs = require("fs/promises");
+const path = require("path");
+const { quantiles, sizeBucket } = require("../utils/percentiles");
+const config = require("../config");
+
+// Ways a corpus can be split; null pools every repository
+const STRATIFY_OPTIONS = ["size", "language"];
+
+// Corpus fields that describe the repository rather than a metric
+const META_FIELDS = ["owner", "repo", "language", "timestamp"];
+
+// Parsed calibration file (loaded once, replaced on regeneration)
+let calibration = null;
+
+function unavailable(message) {
+  const err = new Error(message);
+  err.status = 503;
+  return err;
+}
+
+/**
+ * Minimal CSV reader: a header row, comma-separated fields, optional double
+ * quotes ("" escapes a quote). Numbers and true/false are converted; empty
+ * fields become null.
+ */
+function parseCsv(content) {
+  const rows = content
+    .split(/\r?\n/)
+    .filter((line) => line.trim())
+    .map((line) => {
+      const fields = [];
+      let field = "";
+      let quoted = false;
+      for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+        if (quoted && c === '"' && line[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (c === '"') {
+          quoted = !quoted;
+        } else if (c === "," && !quoted) {
+          fields.push(field);
+          field = "";
+        } else {
+          field += c;
+        }
+      }
+      fields.push(field);
+      return fields.map((f) => f.trim());
+    });
+  const [header = [], ...body] = rows;
+  return body.map((fields) => {
+    const record = {};
+    header.forEach((name, i) => {
+      const value = fields[i];
+      if (value === undefined || value === "") record[name] = null;
+      else if (value === "true" || value === "false") {
+        record[name] = value === "true";
+      } else {
+        record[name] = Number.isNaN(Number(value)) ? value : Number(value);
+      }
+    });
+    return record;
+  });
+}
+
+/**
+ * Read corpus records from a file or, for a directory, from score
+ * snapshots (the latest one per repository).
+ */
+async function readCorpus(corpusPath) {
+  const stat = await fs.stat(corpusPath);
+  if (stat.isDirectory()) {
+    const files = (await fs.readdir(corpusPath)).filter((f) =>
+      f.endsWith(".jsonl")
+    );
+    return Promise.all(
+      files.map(async (file) => {
+        const lines = (await fs.readFile(path.join(corpusPath, file), "utf-8"))
+          .split("\n")
+          .filter(Boolean);
+        return JSON.parse(lines[lines.length - 1]);
+      })
+    );
+  }
+
+  const content = await fs.readFile(corpusPath, "utf-8");
+  if (corpusPath.endsWith(".csv")) return parseCsv(content);
+  if (corpusPath.endsWith(".jsonl")) {
+    return content
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line));
+  }
+  const parsed = JSON.parse(content);
+  // A plain array, or a saved POST /api/score/batch response
+  return Array.isArray(parsed) ? parsed : parsed.results;
+}
+
+/**
+ * Load the reference corpus: raw metrics of previously scored repositories.
+ *
+ * Accepts a JSON array, JSON lines, a saved batch response, a CSV file with
+ * one column per metric, or a snapshot directory. Each record is either
+ * { owner, repo, language?, metrics: {...} }, a batch result
+ * ({ repo, ok, result }) or a flat row. Only numeric and boolean metric
+ * values are kept; a repository listed twice counts once (the last entry).
+ *
+ * @param {string} [corpusPath]  defaults to config.calibration.corpusPath
+ * @returns {Promise<Array<{ repo: string|null, language: string|null, metrics: object }>>}
+ * @throws {Error} 503 if the corpus is missing or unreadable
+ */
+async function loadCorpus(corpusPath = config.calibration.corpusPath) {
+  let records;
+  try {
+    records = await readCorpus(corpusPath);
+    if (!Array.isArray(records)) {
+      throw new Error("expected an array of repositories");
+    }
+  } catch (err) {
+    throw unavailable(
+      err.code === "ENOENT"
+        ? `Calibration corpus not found at ${corpusPath}`
+        : `Invalid calibration corpus ${corpusPath}: ${err.message}`
+    );
+  }
+
+  const byRepo = new Map();
+  records.forEach((record, i) => {
+    if (!record || record.ok === false) return;
+    const source = record.result || record;
+    const fields = source.metrics || source;
+    const metrics = {};
+    Object.entries(fields).forEach(([key, value]) => {
+      if (META_FIELDS.includes(key) || key === "overallScore") return;
+      if (typeof value === "boolean") metrics[key] = Number(value);
+      else if (typeof value === "number" && Number.isFinite(value)) {
+        metrics[key] = value;
+      }
+    });
+    const repo =
+      source.owner && source.repo
+        ? `${source.owner}/${source.repo}`
+        : record.repo || null;
+    const language = source.language || record.language || null;
+    byRepo.set(repo ? repo.toLowerCase() : `#${i}`, {
+      repo,
+      language: language ? String(language).toLowerCase() : null,
+      metrics,
+    });
+  });
+  return [...byRepo.values()].filter((e) => Object.keys(e.metrics).length);
+}
+
+/**
+ * Stratum of a repository: size bucket by contributor count, or its
+ * (lower-cased) primary language.
+ *
+ * @param {string|null} stratify  "size", "language" or null
+ * @param {{ metrics: object, language?: string|null }} entry
+ * @returns {string|null}
+ */
+function stratumOf(stratify, entry) {
+  if (stratify === "size") return sizeBucket(entry.metrics.contributorCount);
+  if (stratify === "language") {
+    return entry.language ? entry.language.toLowerCase() : null;
+  }
+  return null;
+}
+
+/** Per-metric sample size and quantiles over a set of corpus entries. */
+function distributions(entries) {
+  const values = {};
+  entries.forEach((e) =>
+    Object.entries(e.metrics).forEach(([key, value]) =>
+      (values[key] = values[key] || []).push(value)
+    )
+  );
+  const out = {};
+  Object.entries(values).forEach(([key, sample]) => {
+    out[key] = { n: sample.length, quantiles: quantiles(sample) };
+  });
+  return out;
+}
+
+/**
+ * Check a stratify option ("none" or "" disables stratification).
+ * @throws {Error} 400 on an unknown option
+ */
+function parseStratify(value) {
+  if (value === undefined) return config.calibration.stratify;
+  if (value === null || value === "" || value === "none") return null;
+  if (!STRATIFY_OPTIONS.includes(value)) {
+    const err = new Error(
+      `Invalid stratify "${value}" (use ${STRATIFY_OPTIONS.join(", ")} or none)`
+    );
+    err.status = 400;
+    throw err;
+  }
+  return value;
+}
+
+/**
+ * Build empirical percentile curves from a corpus.
+ *
+ * @param {Array<{ metrics: object, language: string|null }>} entries  from loadCorpus
+ * @param {{ stratify?: string|null, minSamples?: number, corpus?: string }} [options]
+ * @returns {{ generatedAt: string, corpus: string|null, repos: number, stratify: string|null, minSamples: number, metrics: object, strata: object }}
+ *   metrics maps each metric to { n, quantiles } over the whole corpus;
+ *   strata maps each stratum to { repos, metrics } in the same shape
+ */
+function buildCalibration(entries, options = {}) {
+  const {
+    stratify = null,
+    minSamples = config.calibration.minSamples,
+    corpus = null,
+  } = options;
+  const groups = {};
+  if (stratify) {
+    entries.forEach((e) => {
+      const stratum = stratumOf(stratify, e);
+      if (stratum) (groups[stratum] = groups[stratum] || []).push(e);
+    });
+  }
+  const strata = {};
+  Object.entries(groups).forEach(([stratum, members]) => {
+    strata[stratum] = {
+      repos: members.length,
+      metrics: distributions(members),
+    };
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    corpus,
+    repos: entries.length,
+    stratify,
+    minSamples,
+    metrics: distributions(entries),
+    strata,
+  };
+}
+
+/**
+ * Rebuild the calibration file from the corpus and use it from now on.
+ *
+ * @param {{ stratify?: string, minSamples?: number|string }} [input]
+ *   defaults to config.calibration
+ * @returns {Promise<object>} The new calibration, see buildCalibration
+ * @throws {Error} 400 on invalid options, 503 if the corpus is unusable
+ *   (including stratify=language over a corpus without languages)
+ */
+async function regenerateCalibration(input = {}) {
+  const stratify = parseStratify(input.stratify);
+  const minSamples =
+    parseInt(input.minSamples, 10) || config.calibration.minSamples;
+  const corpusPath = config.calibration.corpusPath;
+  const entries = await loadCorpus(corpusPath);
+  if (!entries.length) {
+    throw unavailable(`Calibration corpus ${corpusPath} has no metrics`);
+  }
+  // Scores and snapshots record the language; older ones do not
+  if (stratify === "language" && !entries.some((e) => e.language)) {
+    throw unavailable(
+      `Calibration corpus ${corpusPath} has no languages to stratify by`
+    );
+  }
+
+  const built = buildCalibration(entries, {
+    stratify,
+    minSamples,
+    corpus: corpusPath,
+  });
+  await fs.mkdir(path.dirname(config.calibration.path), { recursive: true });
+  await fs.writeFile(config.calibration.path, JSON.stringify(built, null, 2));
+  calibration = built;
+  return calibration;
+}
+
+/**
+ * Load the calibration file written by regenerateCalibration.
+ *
+ * @returns {Promise<object>} see buildCalibration
+ * @throws {Error} 503 if there is no calibration yet or it is unreadable
+ */
+async function loadCalibration() {
+  if (calibration) return calibration;
+  try {
+    calibration = JSON.parse(
+      await fs.readFile(config.calibration.path, "utf-8")
+    );
+  } catch (err) {
+    throw unavailable(
+      err.code === "ENOENT"
+        ? `No calibration at ${config.calibration.path}; regenerate it with POST /api/calibration`
+        : `Invalid calibration ${config.calibration.path}: ${err.message}`
+    );
+  }
+  return calibration;
+}
+
+module.exports = {
+  loadCorpus,
+  buildCalibration,
+  regenerateCalibration,
+  loadCalibration,
+  stratumOf,
+  STRATIFY_OPTIONS,
+};
@@ -1,12 +1,228 @@
 const { Octokit } = require("@octokit/rest");
 const config = require("../config");
-const { computeDeveloperChurn } = require("../utils/metricsCalculator");
+const {
+  computeDeveloperChurn,
+  summariseAuthors,
+  newcomerCandidates,
+  computeNewcomerRetention,
+  summariseWorkflowRuns,
+} = require("../utils/metricsCalculator");
+const { isBot } = require("../utils/botFilter");
+const { HOUR_MS, DAY_MS, toTime, daysAgoISO } = require("../utils/dateUtils");
+const { findCiConfigs, analyseTests } = require("../utils/testAnalyzer");
+const {
+  describeLicense,
+  findCommunityFiles,
+} = require("../utils/communityHealth");
+const cache = require("./cacheService");
+
+// CI config files fetched when looking for test commands
+const MAX_CI_CONFIGS = 10;
 
 // Initialize Octokit with authentication token from config
 const octokit = new Octokit({
   auth: config.github.token,
 });
 
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Map items through an async function with at most `limit` calls in flight,
+ * so per-item fan-outs stay under GitHub's secondary rate limit.
+ *
+ * @param {Array} items
+ * @param {(item: any, index: number) => Promise<any>} fn
+ * @param {number} [limit]  defaults to config.github.concurrency
+ * @returns {Promise<Array>} results in input order
+ */
+async function mapConcurrent(items, fn, limit = config.github.concurrency) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+  await Promise.all(
+    Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker)
+  );
+  return results;
+}
+
+/** Exponential backoff with a little jitter, capped at maxDelayMs. */
+function backoffDelay(attempt) {
+  const { baseDelayMs, maxDelayMs } = config.github.retry;
+  const delay = baseDelayMs * 2 ** attempt;
+  return Math.min(maxDelayMs, delay + Math.random() * baseDelayMs * 0.5);
+}
+
+/**
+ * Decide whether a failed request hit a rate limit worth waiting for.
+ *
+ * 429s and secondary-rate-limit 403s are retried after `retry-after`
+ * seconds when given. A 403 from an exhausted primary quota waits for
+ * `x-ratelimit-reset`.
+ *
+ * @param {Error} err  Octokit RequestError
+ * @returns {number|null} ms to wait (0 = use backoff), or null if not retryable
+ */
+function rateLimitWait(err) {
+  const headers = (err.response && err.response.headers) || {};
+  const secondary = /secondary rate limit|abuse/i.test(err.message);
+  const exhausted = headers["x-ratelimit-remaining"] === "0";
+  if (
+    err.status !== 429 &&
+    !(err.status === 403 && (secondary || exhausted || headers["retry-after"]))
+  ) {
+    return null;
+  }
+  if (headers["retry-after"]) {
+    return parseInt(headers["retry-after"], 10) * 1000;
+  }
+  if (exhausted && headers["x-ratelimit-reset"]) {
+    return Math.max(0, headers["x-ratelimit-reset"] * 1000 - Date.now());
+  }
+  return 0;
+}
+
+/**
+ * octokit.request with the retry policy from config.github.retry:
+ *  - 202 (statistics still being computed) is polled with exponential backoff
+ *  - 429 and rate-limit 403s wait for retry-after / reset, else back off
+ *
+ * Gives up after maxRetries or once the next wait would pass the deadline,
+ * throwing an error with `transient: true`. Other errors are rethrown
+ * unchanged with `transient: false`.
+ *
+ * @param {string} route
+ * @param {object} params
+ * @param {AbortSignal} [signal]  aborts the pending request and any retries
+ * @returns {Promise<object>} Octokit response (never a 202)
+ */
+async function requestWithRetry(route, params, signal) {
+  const { maxRetries, deadlineMs } = config.github.retry;
+  const deadline = Date.now() + deadlineMs;
+
+  for (let attempt = 0; ; attempt++) {
+    if (signal) signal.throwIfAborted();
+    let reason;
+    let status;
+    let waitMs;
+    try {
+      const res = await octokit.request(
+        route,
+        signal ? { ...params, request: { signal } } : params
+      );
+      if (res.status !== 202) return res;
+      reason = "statistics are still being computed (202)";
+      status = 202;
+      waitMs = backoffDelay(attempt);
+    } catch (err) {
+      const wait = signal && signal.aborted ? null : rateLimitWait(err);
+      if (wait === null) {
+        err.transient = false;
+        throw err;
+      }
+      reason = `rate limited (${err.status})`;
+      status = err.status;
+      waitMs = wait || backoffDelay(attempt);
+    }
+
+    if (attempt >= maxRetries || Date.now() + waitMs > deadline) {
+      const err = new Error(
+        `GitHub ${route} gave up after ${attempt + 1} attempts: ${reason}. ` +
+          "This failure is transient; retry later."
+      );
+      err.status = status;
+      err.transient = true;
+      err.attempts = attempt + 1;
+      throw err;
+    }
+    await sleep(waitMs);
+  }
+}
+
+// Requests on the wire: cache key → abort signal (or null) → promise. Only
+// callers with the same signal share one, so aborting a score never fails
+// another score's fetch.
+const inflight = new Map();
+
+/**
+ * Run `fetch` unless the same request for the same signal is already on the
+ * wire, in which case wait for that one.
+ *
+ * @returns {{ promise: Promise<object>, shared: boolean }}
+ */
+function shareInflight(key, signal, fetch) {
+  const owner = signal || null;
+  let bySignal = inflight.get(key);
+  if (!bySignal) inflight.set(key, (bySignal = new Map()));
+  if (bySignal.has(owner)) {
+    return { promise: bySignal.get(owner), shared: true };
+  }
+  const promise = fetch().finally(() => {
+    bySignal.delete(owner);
+    if (!bySignal.size) inflight.delete(key);
+  });
+  bySignal.set(owner, promise);
+  return { promise, shared: false };
+}
+
+/**
+ * Cached wrapper around octokit.request.
+ *
+ * Fresh entries are served from the cache. Stale entries (or any entry when
+ * `refresh` is set) are revalidated with If-None-Match, since 304 responses
+ * do not count against the rate limit. Only 200 responses are stored.
+ * Requests go through requestWithRetry, so 202s and rate limits are retried.
+ * Identical requests made while one is on the wire (e.g. the tree wanted by
+ * several fetches of one score) wait for it and count as cache hits.
+ *
+ * @param {string} type     cache data type (key of config.cache.ttl)
+ * @param {string} route    e.g. "GET /repos/{owner}/{repo}/readme"
+ * @param {object} params
+ * @param {{ refresh?: boolean, cacheStats?: object, signal?: AbortSignal }} [options]
+ *   signal stops the request (rejecting with an AbortError) once aborted
+ * @returns {Promise<{ status: number, data: any }>}
+ */
+async function cachedRequest(type, route, params, options = {}) {
+  const { refresh = false, cacheStats, signal } = options;
+  const key = cache.cacheKey(route, params);
+  const entry = await cache.read(key);
+
+  if (entry && !refresh && cache.isFresh(entry, config.cache.ttl[type])) {
+    if (cacheStats) cacheStats.hits++;
+    return { status: 200, data: entry.data };
+  }
+
+  const headers = entry && entry.etag ? { "if-none-match": entry.etag } : {};
+  const { promise, shared } = shareInflight(key, signal, async () => {
+    try {
+      const res = await requestWithRetry(route, { ...params, headers }, signal);
+      if (res.status === 200) {
+        await cache.write(key, { data: res.data, etag: res.headers.etag });
+      }
+      return { res, outcome: "misses" };
+    } catch (err) {
+      // Unchanged since we cached it: reset the TTL and reuse the data
+      if (err.status === 304 && entry) {
+        await cache.write(key, entry);
+        return {
+          res: { status: 200, data: entry.data },
+          outcome: "revalidated",
+        };
+      }
+      throw err;
+    }
+  });
+  const { res, outcome } = await promise;
+  if (cacheStats) cacheStats[shared ? "hits" : outcome]++;
+  return res;
+}
+
 /**
  * Fetches weekly commit activity for the past year.
  *
@@ -15,17 +231,20 @@ const octokit = new Octokit({
  *
  * @param {string} owner  - GitHub owner or organization name
  * @param {string} repo   - Repository name
+ * @param {object} [options] - cache options, see cachedRequest
  * @returns {Promise<Array<{ week: number, total: number, days: number[] }>>}
  * @throws {Error}        - If GitHub responds with non-200 status
  */
-async function getCommitActivity(owner, repo) {
+async function getCommitActivity(owner, repo, options = {}) {
   // Call GitHub’s stats/commit_activity endpoint
-  const response = await octokit.rest.repos.getCommitActivityStats({
-    owner,
-    repo,
-  });
+  const response = await cachedRequest(
+    "commitStats",
+    "GET /repos/{owner}/{repo}/stats/commit_activity",
+    { owner, repo },
+    options
+  );
 
-  // If GitHub hasn't computed stats yet, it may return 202
+  // 202 "stats computing" is polled by requestWithRetry; guard anything else
   if (response.status !== 200) {
     const msg = `GitHub API returned status ${response.status}`;
     const err = new Error(msg);
@@ -36,103 +255,357 @@ async function getCommitActivity(owner, repo) {
   // response.data is the array of weekly commit stats
   return response.data;
 }
+// The Search API never returns more than 1000 results for one query
+const SEARCH_RESULT_CAP = 1000;
+// Below this span we stop splitting and accept a truncated sample
+const MIN_SEARCH_SPLIT_MS = HOUR_MS;
+
+/** ISO timestamp without milliseconds, as the search syntax expects. */
+function searchDate(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+/**
+ * One page of issue/PR search results, newest first.
+ *
+ * @param {string} q
+ * @param {number} page
+ * @param {number} perPage
+ * @param {object} options - cache options, see cachedRequest
+ * @returns {Promise<{ total_count: number, items: object[] }>}
+ */
+async function searchIssuesPage(q, page, perPage, options) {
+  const res = await cachedRequest(
+    "search",
+    "GET /search/issues",
+    { q, sort: "created", order: "desc", per_page: perPage, page },
+    options
+  );
+  if (res.status !== 200) {
+    const err = new Error(`GitHub Search API returned ${res.status}`);
+    err.status = res.status;
+    throw err;
+  }
+  return res.data;
+}
+
 /**
- * Fetch up to 100 most recent closed issues created in the last 6 months
- * via GitHub’s Search API (fast, one call).
+ * Search qualifier restricting results to any of the given labels.
+ *
+ * @param {string[]} [labels]
+ * @returns {string[]} Zero or one qualifier
+ */
+function labelQualifier(labels = []) {
+  if (labels.length === 0) return [];
+  const quoted = labels.map((l) => (/\s/.test(l) ? `"${l}"` : l));
+  return [`label:${quoted.join(",")}`];
+}
+
+/**
+ * Collect every closed issue or PR created in [from, to] via the Search API.
+ *
+ * Each query is paginated to the end. When a range matches more than the
+ * 1000-result cap, it is split in half by creation date and each half is
+ * searched separately (sequentially, to respect the search rate limit).
  *
  * @param {string} owner
  * @param {string} repo
- * @returns {Promise<Array<{ created_at: string, closed_at: string }>>}
+ * @param {string[]} qualifiers - e.g. ["type:issue", "label:bug"]
+ * @param {Date} from
+ * @param {Date} to
+ * @param {object} options - cache options, see cachedRequest
+ * @returns {Promise<object[]>} Raw search items
  */
-async function listRecentClosedIssues(owner, repo) {
-  const since = new Date(Date.now() - 180 * 24 * 60 * 60 * 1000).toISOString();
-  // Build the search query
+async function searchClosedItems(owner, repo, qualifiers, from, to, options) {
   const q = [
     `repo:${owner}/${repo}`,
-    "type:issue",
+    ...qualifiers,
     "is:closed",
-    `created:>=${since}`,
+    `created:${searchDate(from)}..${searchDate(to)}`,
   ].join(" ");
 
-  const res = await octokit.rest.search.issuesAndPullRequests({
-    q,
-    sort: "created",
-    order: "desc",
-    per_page: 100,
-    page: 1,
-  });
+  const fetchPage = (page) => searchIssuesPage(q, page, 100, options);
 
-  if (res.status !== 200) {
-    const err = new Error(`GitHub Search API returned ${res.status}`);
-    err.status = res.status;
-    throw err;
+  const first = await fetchPage(1);
+  if (first.total_count > SEARCH_RESULT_CAP) {
+    if (to - from > MIN_SEARCH_SPLIT_MS) {
+      // Split on a whole second so the two halves do not overlap
+      const mid = new Date(
+        Math.floor((from.getTime() + to.getTime()) / 2000) * 1000
+      );
+      const older = await searchClosedItems(
+        owner,
+        repo,
+        qualifiers,
+        from,
+        mid,
+        options
+      );
+      const newer = await searchClosedItems(
+        owner,
+        repo,
+        qualifiers,
+        new Date(mid.getTime() + 1000),
+        to,
+        options
+      );
+      return [...newer, ...older];
+    }
+    console.warn(
+      `Search for ${owner}/${repo} ${qualifiers.join(" ")} in ${searchDate(
+        from
+      )}..${searchDate(
+        to
+      )} exceeds ${SEARCH_RESULT_CAP} results; sample truncated`
+    );
+  }
+
+  const items = [...first.items];
+  const pages = Math.ceil(Math.min(first.total_count, SEARCH_RESULT_CAP) / 100);
+  for (let page = 2; page <= pages; page++) {
+    items.push(...(await fetchPage(page)).items);
   }
+  return items;
+}
+
+/**
+ * Start and end of a lookback window ending today. Both are aligned to
+ * midnight UTC so the search queries (and cache keys) are stable per day.
+ *
+ * @param {number} windowDays
+ * @returns {{ from: Date, to: Date }}
+ */
+function searchWindow(windowDays) {
+  return {
+    from: new Date(daysAgoISO(windowDays)),
+    to: new Date(new Date(daysAgoISO(-1)).getTime() - 1000),
+  };
+}
+
+/**
+ * Fetch every closed issue created within the lookback window via GitHub’s
+ * Search API (fully paginated, see searchClosedItems).
+ *
+ * @param {string} owner
+ * @param {string} repo
+ * @param {object} [options] - cache options, see cachedRequest
+ * @param {number} [options.windowDays] - lookback window (default 180)
+ * @param {string[]} [options.labels] - only issues with any of these labels
+ * @returns {Promise<Array<{ created_at: string, closed_at: string }>>}
+ */
+async function listRecentClosedIssues(owner, repo, options = {}) {
+  const { from, to } = searchWindow(options.windowDays || 180);
+  const items = await searchClosedItems(
+    owner,
+    repo,
+    ["type:issue", ...labelQualifier(options.labels)],
+    from,
+    to,
+    options
+  );
 
   // Map to the same shape as before
-  return res.data.items.map((issue) => ({
+  return items.map((issue) => ({
     created_at: issue.created_at,
     closed_at: issue.closed_at,
   }));
 }
 
 /**
- * Fetch up to 100 most recent closed pull requests created in the last 6 months
- * via GitHub’s Search API (fast, one call).
+ * Fetch every closed pull request created within the lookback window via
+ * GitHub’s Search API (fully paginated, see searchClosedItems).
  *
  * @param {string} owner
  * @param {string} repo
- * @returns {Promise<Array<{ created_at: string, closed_at: string }>>}
+ * @param {object} [options] - cache options, see cachedRequest
+ * @param {number} [options.windowDays] - lookback window (default 180)
+ * @returns {Promise<Array<{ number: number, author: string|null, comments: number, created_at: string, closed_at: string, merged_at: string|null }>>}
  */
-async function listRecentClosedPRs(owner, repo) {
-  const since = new Date(Date.now() - 180 * 24 * 60 * 60 * 1000).toISOString();
-  // Build the search query
-  const q = [
-    `repo:${owner}/${repo}`,
-    "type:pr",
-    "is:closed",
-    `created:>=${since}`,
-  ].join(" ");
-
-  const res = await octokit.rest.search.issuesAndPullRequests({
-    q,
-    sort: "created",
-    order: "desc",
-    per_page: 100,
-    page: 1,
-  });
-
-  if (res.status !== 200) {
-    const err = new Error(`GitHub Search API returned ${res.status}`);
-    err.status = res.status;
-    throw err;
-  }
+async function listRecentClosedPRs(owner, repo, options = {}) {
+  const { from, to } = searchWindow(options.windowDays || 180);
+  const items = await searchClosedItems(
+    owner,
+    repo,
+    ["type:pr"],
+    from,
+    to,
+    options
+  );
 
-  // The Search API returns PRs as items with created_at & closed_at
-  return res.data.items.map((pr) => ({
+  // Search items carry merge state under pull_request.merged_at
+  return items.map((pr) => ({
+    number: pr.number,
+    author: pr.user ? pr.user.login : null,
+    comments: pr.comments || 0,
     created_at: pr.created_at,
     closed_at: pr.closed_at,
+    merged_at: (pr.pull_request && pr.pull_request.merged_at) || null,
   }));
 }
 
+/**
+ * Fetch review and conversation events for the most recent closed PRs.
+ *
+ * One reviews call per PR, plus one issue-comments call for PRs that have
+ * comments, so only `sampleSize` PRs are inspected, a few at a time (see
+ * mapConcurrent).
+ *
+ * @param {string} owner
+ * @param {string} repo
+ * @param {Array<{ number: number, author: string|null, comments: number, created_at: string }>} prs
+ *   as returned by listRecentClosedPRs (newest first)
+ * @param {object} [options] - cache options, see cachedRequest
+ * @param {number} [options.sampleSize] - PRs to inspect (default config.github.prReviewSample)
+ * @returns {Promise<Array<object>>} Each PR plus
+ *   reviews: [{ user, userType, state, submitted_at }] and
+ *   comments: [{ user, userType, created_at }]
+ */
+async function getPRReviewDetails(owner, repo, prs, options = {}) {
+  const { sampleSize = config.github.prReviewSample } = options;
+  const sample = prs.slice(0, sampleSize);
+
+  return mapConcurrent(sample, async (pr) => {
+    const reviewsRes = await cachedRequest(
+      "reviews",
+      "GET /repos/{owner}/{repo}/pulls/{pull_number}/reviews",
+      { owner, repo, pull_number: pr.number, per_page: 100 },
+      options
+    );
+    let comments = [];
+    if (pr.comments > 0) {
+      const commentsRes = await cachedRequest(
+        "reviews",
+        "GET /repos/{owner}/{repo}/issues/{issue_number}/comments",
+        { owner, repo, issue_number: pr.number, per_page: 100 },
+        options
+      );
+      comments = commentsRes.data.map((c) => ({
+        user: c.user ? c.user.login : null,
+        userType: c.user ? c.user.type : null,
+        created_at: c.created_at,
+      }));
+    }
+    return {
+      ...pr,
+      reviews: reviewsRes.data.map((r) => ({
+        user: r.user ? r.user.login : null,
+        userType: r.user ? r.user.type : null,
+        state: r.state,
+        submitted_at: r.submitted_at,
+      })),
+      comments,
+    };
+  });
+}
+
+// Comment authors counted as maintainers
+const MAINTAINER_ASSOCIATIONS = ["OWNER", "MEMBER", "COLLABORATOR"];
+
+/**
+ * Gather issue responsiveness and backlog signals for the lookback window.
+ *
+ * Counts come from Search API totals (one call each, per_page=1):
+ *   opened / closed in the window, currently open, open but not updated for
+ *   `staleDays`, and closures by reason (completed vs not planned).
+ * Comments are fetched for the `sampleSize` most recent issues to find the
+ * first maintainer response.
+ *
+ * @param {string} owner
+ * @param {string} repo
+ * @param {object} [options] - cache options, see cachedRequest
+ * @param {number} [options.windowDays] - lookback window (default 180)
+ * @param {string[]} [options.labels] - only issues with any of these labels
+ * @param {number} [options.staleDays] - inactivity threshold (default config.github.staleIssueDays)
+ * @param {number} [options.sampleSize] - issues whose comments are fetched (default config.github.issueSample)
+ * @returns {Promise<{ opened: number, closed: number, open: number, stale: number, completed: number, notPlanned: number, staleDays: number, sample: Array<object> }>}
+ */
+async function getIssueActivity(owner, repo, options = {}) {
+  const {
+    windowDays = 180,
+    labels = [],
+    staleDays = config.github.staleIssueDays,
+    sampleSize = config.github.issueSample,
+  } = options;
+  const { from, to } = searchWindow(windowDays);
+  const range = `${searchDate(from)}..${searchDate(to)}`;
+  const base = [
+    `repo:${owner}/${repo}`,
+    "type:issue",
+    ...labelQualifier(labels),
+  ];
+  const count = async (extra) =>
+    (await searchIssuesPage([...base, ...extra].join(" "), 1, 1, options))
+      .total_count;
+
+  // Sequential, to stay under the search rate limit
+  const opened = await count([`created:${range}`]);
+  const closed = await count([`closed:${range}`]);
+  const open = await count(["is:open"]);
+  const stale = await count(["is:open", `updated:<${daysAgoISO(staleDays)}`]);
+  const completed = await count([`closed:${range}`, "reason:completed"]);
+  const notPlanned = await count([`closed:${range}`, 'reason:"not planned"']);
+
+  const recent = await searchIssuesPage(
+    [...base, `created:${range}`].join(" "),
+    1,
+    Math.min(sampleSize, 100), // search pages hold at most 100 items
+    options
+  );
+  const sample = await mapConcurrent(recent.items, async (issue) => {
+    let comments = [];
+    if (issue.comments > 0) {
+      const res = await cachedRequest(
+        "comments",
+        "GET /repos/{owner}/{repo}/issues/{issue_number}/comments",
+        { owner, repo, issue_number: issue.number, per_page: 100 },
+        options
+      );
+      comments = res.data.map((c) => ({
+        user: c.user ? c.user.login : null,
+        maintainer: MAINTAINER_ASSOCIATIONS.includes(c.author_association),
+        created_at: c.created_at,
+      }));
+    }
+    return {
+      number: issue.number,
+      author: issue.user ? issue.user.login : null,
+      created_at: issue.created_at,
+      closed_at: issue.closed_at,
+      comments,
+    };
+  });
+
+  return {
+    opened,
+    closed,
+    open,
+    stale,
+    completed,
+    notPlanned,
+    staleDays,
+    sample,
+  };
+}
+
 /**
  * Fetch all contributors (non-anonymous) for a repository.
  * @param {string} owner
  * @param {string} repo
- * @returns {Promise<Array<{ login: string, contributions: number }>>}
+ * @param {object} [options] - cache options, see cachedRequest
+ * @returns {Promise<Array<{ login: string, type: string, contributions: number }>>}
  */
-async function listContributors(owner, repo) {
+async function listContributors(owner, repo, options = {}) {
   const contributors = [];
   let page = 1;
 
   // GitHub paginates at 100 items/page
   while (true) {
-    const res = await octokit.rest.repos.listContributors({
-      owner,
-      repo,
-      anon: false,
-      per_page: 100,
-      page,
-    });
+    const res = await cachedRequest(
+      "contributors",
+      "GET /repos/{owner}/{repo}/contributors",
+      { owner, repo, anon: false, per_page: 100, page },
+      options
+    );
     if (res.status !== 200) {
       const err = new Error(`GitHub contributors API returned ${res.status}`);
       err.status = res.status;
@@ -141,6 +614,7 @@ async function listContributors(owner, repo) {
     contributors.push(
       ...res.data.map((c) => ({
         login: c.login,
+        type: c.type,
         contributions: c.contributions,
       }))
     );
@@ -150,54 +624,21 @@ async function listContributors(owner, repo) {
   return contributors;
 }
 
-/**
- * Returns true if the repo contains any test files or __tests__ folders anywhere.
- *
- * Uses GitHub’s Code Search API to look for:
- *  - any filename matching *.test.*
- *  - any path segment named __tests__
- *
- * @param {string} owner
- * @param {string} repo
- * @returns {Promise<boolean>}
- */
-async function getTestPresence(owner, repo) {
-  // Patterns to try
-  const queries = [
-    // catches files named *.test.js, *.test.tsx, etc.
-    `repo:${owner}/${repo} filename:*.test.*`,
-    // catches any directory named __tests__ at any depth
-    `repo:${owner}/${repo} in:path __tests__`,
-  ];
-
-  for (const q of queries) {
-    const res = await octokit.rest.search.code({
-      q,
-      per_page: 1,
-      page: 1,
-    });
-    if (res.status !== 200) {
-      throw new Error(`Code search API returned ${res.status}`);
-    }
-    if (res.data.total_count > 0) {
-      return true;
-    }
-  }
-  return false;
-}
-
 /**
  * Fetches the repository README as raw Markdown.
  * @param {string} owner
  * @param {string} repo
+ * @param {object} [options] - cache options, see cachedRequest
  * @returns {Promise<string>} The README content in UTF-8.
  */
-async function getReadme(owner, repo) {
+async function getReadme(owner, repo, options = {}) {
   // GitHub API returns base64-encoded content by default
-  const res = await octokit.rest.repos.getReadme({
-    owner,
-    repo,
-  });
+  const res = await cachedRequest(
+    "readme",
+    "GET /repos/{owner}/{repo}/readme",
+    { owner, repo },
+    options
+  );
   // Decode from base64 to UTF-8 string
   const md = Buffer.from(res.data.content, "base64").toString("utf-8");
   return md;
@@ -207,41 +648,63 @@ const GITHUB_ALERTS_ENDPOINT = "GET /repos/{owner}/{repo}/dependabot/alerts";
 
 /**
  * Fetch all Dependabot alerts for a repository.
- * Returns an empty array on 403/404 (not authorized or alerts not enabled).
+ * Returns null on 403/404 (not authorized or alerts not enabled).
  *
  * @param {string} owner
  * @param {string} repo
- * @returns {Promise<Array<{ number: number, state: string }>>}
+ * @param {object} [options] - cache options, see cachedRequest
+ * @returns {Promise<Array<{ number: number, state: string, severity: string|null, cvss: number|null, ecosystem: string|null, package: string|null, scope: string|null, createdAt: string, fixedAt: string|null, dismissedAt: string|null, dismissedReason: string|null }>>}
+ *   scope is "runtime" or "development" (null when GitHub cannot tell); null
+ *   when the alerts are not accessible
  */
-async function getDependabotAlerts(owner, repo) {
+async function getDependabotAlerts(owner, repo, options = {}) {
   const alerts = [];
   let page = 1;
 
   try {
     while (true) {
-      const res = await octokit.request(GITHUB_ALERTS_ENDPOINT, {
-        owner,
-        repo,
-        per_page: 100,
-        page,
-      });
+      const res = await cachedRequest(
+        "alerts",
+        GITHUB_ALERTS_ENDPOINT,
+        { owner, repo, per_page: 100, page },
+        options
+      );
       // GitHub returns 200 + data array
       alerts.push(
-        ...res.data.map((a) => ({
-          number: a.number,
-          state: a.state,
-        }))
+        ...res.data.map((a) => {
+          const advisory = a.security_advisory || {};
+          const dependency = a.dependency || {};
+          const pkg = dependency.package || {};
+          return {
+            number: a.number,
+            state: a.state,
+            severity:
+              (a.security_vulnerability && a.security_vulnerability.severity) ||
+              advisory.severity ||
+              null,
+            cvss: advisory.cvss ? advisory.cvss.score : null,
+            ecosystem: pkg.ecosystem || null,
+            package: pkg.name || null,
+            scope: dependency.scope || null,
+            createdAt: a.created_at,
+            fixedAt: a.fixed_at || null,
+            dismissedAt: a.dismissed_at || a.auto_dismissed_at || null,
+            dismissedReason: a.dismissed_reason || null,
+          };
+        })
       );
       if (res.data.length < 100) break;
       page++;
     }
   } catch (err) {
-    // If not authorized or alerts not enabled, return empty list
-    if (err.status === 403 || err.status === 404) {
+    // Not authorized or alerts not enabled: no answer, which is not the
+    // same as no alerts (a 403 that was a rate limit is transient and must
+    // propagate)
+    if ((err.status === 403 || err.status === 404) && !err.transient) {
       console.warn(
         `Dependabot alerts not accessible for ${owner}/${repo}: ${err.message}`
       );
-      return [];
+      return null;
     }
     // Propagate other errors
     throw err;
@@ -251,81 +714,654 @@ async function getDependabotAlerts(owner, repo) {
 }
 
 /**
- * Compute developer churn % by sampling top contributors.
+ * Walk the default branch's commit history since a date, newest first.
+ *
+ * Commits whose author is not linked to a GitHub account are identified by
+ * their e-mail address instead of a login.
  *
  * @param {string} owner
  * @param {string} repo
- * @param {number} sampleSize     how many top contributors to sample (default 50)
- * @returns {Promise<number|null>} churn percentage (0–100) or null if no old contributors
+ * @param {object} options - cache options, see cachedRequest
+ * @param {string} [options.since] - ISO timestamp (default: whole history)
+ * @param {number} [options.maxPages] - page cap (default config.github.commitHistoryMaxPages)
+ * @returns {Promise<{ commits: Array<{ sha: string, author: string, authorType: string|null, date: string, verified: boolean }>, truncated: boolean }>}
+ *   truncated is true when the page cap stopped the walk early
  */
-async function getDeveloperChurn(owner, repo, sampleSize = 50) {
-  // 1. Fetch the top `sampleSize` contributors
-  const contribRes = await octokit.rest.repos.listContributors({
-    owner,
-    repo,
-    anon: false,
-    per_page: sampleSize,
-    page: 1,
-  });
-  if (contribRes.status !== 200) {
-    const err = new Error(`Contributors API returned ${contribRes.status}`);
-    err.status = contribRes.status;
-    throw err;
+async function listCommitHistory(owner, repo, options) {
+  const { since, maxPages = config.github.commitHistoryMaxPages } = options;
+  const commits = [];
+  let page = 1;
+
+  while (page <= maxPages) {
+    const res = await cachedRequest(
+      "commits",
+      "GET /repos/{owner}/{repo}/commits",
+      { owner, repo, since, per_page: 100, page },
+      options
+    );
+    commits.push(
+      ...res.data.map((c) => ({
+        sha: c.sha,
+        author: c.author
+          ? c.author.login
+          : `email:${(c.commit.author && c.commit.author.email) || "unknown"}`,
+        authorType: c.author ? c.author.type : null,
+        date: c.commit.author && c.commit.author.date,
+        verified: Boolean(
+          c.commit.verification && c.commit.verification.verified
+        ),
+      }))
+    );
+    if (res.data.length < 100) return { commits, truncated: false };
+    page++;
   }
-  const logins = contribRes.data.map((c) => c.login);
-
-  // 2. Define time windows
-  const twelveMoAgo = new Date(
-    Date.now() - 365 * 24 * 60 * 60 * 1000
-  ).toISOString();
-  const twoYearsAgo = new Date(
-    Date.now() - 2 * 365 * 24 * 60 * 60 * 1000
-  ).toISOString();
-
-  // 3. Build two Sets in parallel
-  const oldSetPromise = Promise.all(
-    logins.map(async (login) => {
-      const r = await octokit.rest.repos.listCommits({
-        owner,
-        repo,
-        author: login,
-        since: twoYearsAgo,
-        until: twelveMoAgo,
-        per_page: 1,
-      });
-      return r.data.length > 0 ? login : null;
-    })
-  ).then((arr) => new Set(arr.filter(Boolean)));
-
-  const recentSetPromise = Promise.all(
-    logins.map(async (login) => {
-      const r = await octokit.rest.repos.listCommits({
+  return { commits, truncated: true };
+}
+
+/**
+ * List every file on the default branch via the recursive git tree API.
+ *
+ * @param {string} owner
+ * @param {string} repo
+ * @param {object} [options] - cache options, see cachedRequest
+ * @returns {Promise<{ files: Array<{ path: string, sha: string, size: number }>, truncated: boolean }>}
+ *   truncated is true when GitHub cut the listing short (very large trees)
+ */
+async function getRepoTree(owner, repo, options = {}) {
+  const res = await cachedRequest(
+    "tree",
+    "GET /repos/{owner}/{repo}/git/trees/{tree_sha}",
+    { owner, repo, tree_sha: "HEAD", recursive: "1" },
+    options
+  );
+  return {
+    files: res.data.tree
+      .filter((entry) => entry.type === "blob")
+      .map((entry) => ({ path: entry.path, sha: entry.sha, size: entry.size })),
+    truncated: Boolean(res.data.truncated),
+  };
+}
+
+/**
+ * Fetch a file from the default branch as UTF-8 text.
+ *
+ * @param {string} owner
+ * @param {string} repo
+ * @param {string} path
+ * @param {object} [options] - cache options, see cachedRequest
+ * @returns {Promise<string>}
+ */
+async function getFileContent(owner, repo, path, options = {}) {
+  const res = await cachedRequest(
+    "contents",
+    "GET /repos/{owner}/{repo}/contents/{path}",
+    { owner, repo, path },
+    options
+  );
+  return Buffer.from(res.data.content || "", "base64").toString("utf-8");
+}
+
+/**
+ * Fetch a git blob as UTF-8 text. Unlike the contents API this works for
+ * files over 1 MB (large lockfiles).
+ *
+ * @param {string} owner
+ * @param {string} repo
+ * @param {string} sha - blob SHA from getRepoTree
+ * @param {object} [options] - cache options, see cachedRequest
+ * @returns {Promise<string>}
+ */
+async function getBlob(owner, repo, sha, options = {}) {
+  const res = await cachedRequest(
+    "blob",
+    "GET /repos/{owner}/{repo}/git/blobs/{file_sha}",
+    { owner, repo, file_sha: sha },
+    options
+  );
+  return Buffer.from(
+    res.data.content || "",
+    res.data.encoding || "base64"
+  ).toString("utf-8");
+}
+
+/**
+ * Analyse the test suite from the recursive git tree: test and source file
+ * counts, frameworks, languages and whether CI runs the tests (see
+ * analyseTests). CI configs are fetched to look for test commands.
+ *
+ * @param {string} owner
+ * @param {string} repo
+ * @param {object} [options] - cache options, see cachedRequest
+ * @returns {Promise<object>} analyseTests result plus treeTruncated
+ */
+async function getTestSuite(owner, repo, options = {}) {
+  const tree = await getRepoTree(owner, repo, options);
+  const paths = tree.files.map((f) => f.path);
+  const ciConfigs = await Promise.all(
+    findCiConfigs(paths)
+      .slice(0, MAX_CI_CONFIGS)
+      .map(async ({ path }) => ({
+        path,
+        content: await getFileContent(owner, repo, path, options),
+      }))
+  );
+  return {
+    ...analyseTests(paths, ciConfigs),
+    treeTruncated: tree.truncated,
+  };
+}
+
+/**
+ * Repository metadata (default branch, license, stars, ...).
+ *
+ * @param {string} owner
+ * @param {string} repo
+ * @param {object} [options] - cache options, see cachedRequest
+ * @returns {Promise<object>} The GET /repos/{owner}/{repo} payload
+ */
+async function getRepoInfo(owner, repo, options = {}) {
+  const res = await cachedRequest(
+    "repo",
+    "GET /repos/{owner}/{repo}",
+    { owner, repo },
+    options
+  );
+  return res.data;
+}
+
+/**
+ * Detect CI configuration and, for GitHub Actions, summarise recent runs on
+ * the default branch: success rate, median duration and time since the last
+ * green run (see summariseWorkflowRuns).
+ *
+ * @param {string} owner
+ * @param {string} repo
+ * @param {object} [options] - cache options, see cachedRequest
+ * @param {number} [options.windowDays] - run history to look at (default config.github.ciWindowDays)
+ * @returns {Promise<{ providers: string[], configs: string[], actions: object|null }>}
+ *   actions is null when the repository has no workflow files
+ */
+async function getCiHealth(owner, repo, options = {}) {
+  const { windowDays = config.github.ciWindowDays } = options;
+  const tree = await getRepoTree(owner, repo, options);
+  const configs = findCiConfigs(tree.files.map((f) => f.path));
+  const providers = [...new Set(configs.map((c) => c.provider))];
+  const result = {
+    providers,
+    configs: configs.map((c) => c.path),
+    actions: null,
+  };
+  if (!providers.includes("GitHub Actions")) return result;
+
+  const { default_branch: branch } = await getRepoInfo(owner, repo, options);
+  const runs = [];
+  for (let page = 1; page <= config.github.ciMaxPages; page++) {
+    const res = await cachedRequest(
+      "actions",
+      "GET /repos/{owner}/{repo}/actions/runs",
+      {
         owner,
         repo,
-        author: login,
-        since: twelveMoAgo,
-        per_page: 1,
-      });
-      return r.data.length > 0 ? login : null;
-    })
-  ).then((arr) => new Set(arr.filter(Boolean)));
-
-  const [oldSet, recentSet] = await Promise.all([
-    oldSetPromise,
-    recentSetPromise,
+        branch,
+        status: "completed",
+        created: `>=${daysAgoISO(windowDays).slice(0, 10)}`,
+        per_page: 100,
+        page,
+      },
+      options
+    );
+    runs.push(...res.data.workflow_runs);
+    if (res.data.workflow_runs.length < 100) break;
+  }
+
+  // Newest first, so the first success is the last green run; look further
+  // back when there was none in the window
+  let lastGreen = runs.find((r) => r.conclusion === "success");
+  if (!lastGreen) {
+    const res = await cachedRequest(
+      "actions",
+      "GET /repos/{owner}/{repo}/actions/runs",
+      { owner, repo, branch, status: "success", per_page: 1 },
+      options
+    );
+    lastGreen = res.data.workflow_runs[0];
+  }
+
+  result.actions = {
+    windowDays,
+    branch,
+    ...summariseWorkflowRuns(runs, lastGreen ? lastGreen.updated_at : null),
+    lastGreenAt: lastGreen ? lastGreen.updated_at : null,
+  };
+  return result;
+}
+
+// Community profile file entries, by our community file key
+const PROFILE_FILES = {
+  license: "license",
+  contributing: "contributing",
+  codeOfConduct: "code_of_conduct_file",
+  issueTemplate: "issue_template",
+  pullRequestTemplate: "pull_request_template",
+};
+
+/**
+ * Find community health files (license, contributing guide, code of conduct,
+ * security policy, issue/PR templates, CODEOWNERS) and identify the license.
+ *
+ * The community profile endpoint is used where it has an answer; the git tree
+ * fills in what it does not cover (security policy, CODEOWNERS) and
+ * everything when the profile is unavailable.
+ *
+ * @param {string} owner
+ * @param {string} repo
+ * @param {object} [options] - cache options, see cachedRequest
+ * @returns {Promise<{ source: string, files: object, license: { spdxId: string|null, osiApproved: boolean } }>}
+ *   files maps each file key to its location (tree path or URL) or null
+ */
+async function getCommunityHealth(owner, repo, options = {}) {
+  const profile = await cachedRequest(
+    "community",
+    "GET /repos/{owner}/{repo}/community/profile",
+    { owner, repo },
+    options
+  )
+    .then((res) => res.data)
+    .catch((err) => {
+      if (err.transient || ![403, 404].includes(err.status)) throw err;
+      return null;
+    });
+  const tree = await getRepoTree(owner, repo, options);
+  const files = findCommunityFiles(tree.files.map((f) => f.path));
+
+  if (profile) {
+    Object.entries(PROFILE_FILES).forEach(([key, field]) => {
+      const entry = profile.files[field];
+      if (!files[key] && entry) files[key] = entry.html_url || entry.url;
+    });
+  }
+
+  let license = profile && profile.files.license;
+  if (!license) license = (await getRepoInfo(owner, repo, options)).license;
+  return {
+    source: profile ? "community-profile" : "tree",
+    files,
+    license: describeLicense(license ? license.spdx_id : null),
+  };
+}
+
+/**
+ * Release history, newest first. Published releases (drafts excluded) are
+ * used when there are any; otherwise the most recent tags, dated by their
+ * commit.
+ *
+ * @param {string} owner
+ * @param {string} repo
+ * @param {object} [options] - cache options, see cachedRequest
+ * @returns {Promise<{ source: "releases"|"tags", releases: Array<{ tag: string, publishedAt: string, prerelease: boolean, hasNotes: boolean|null }> }>}
+ *   hasNotes is null for tags, which carry no notes
+ */
+async function listReleases(owner, repo, options = {}) {
+  const res = await cachedRequest(
+    "releases",
+    "GET /repos/{owner}/{repo}/releases",
+    { owner, repo, per_page: 100 },
+    options
+  );
+  const releases = res.data
+    .filter((r) => !r.draft && r.published_at)
+    .map((r) => ({
+      tag: r.tag_name,
+      publishedAt: r.published_at,
+      prerelease: r.prerelease,
+      hasNotes: Boolean(r.body && r.body.trim()),
+    }))
+    .sort((a, b) => toTime(b.publishedAt) - toTime(a.publishedAt));
+  if (releases.length) return { source: "releases", releases };
+
+  const tagsRes = await cachedRequest(
+    "releases",
+    "GET /repos/{owner}/{repo}/tags",
+    { owner, repo, per_page: config.github.releaseTagSample },
+    options
+  );
+  const tags = await mapConcurrent(tagsRes.data, async (tag) => {
+    const commit = await cachedRequest(
+      "commitDetail",
+      "GET /repos/{owner}/{repo}/commits/{ref}",
+      { owner, repo, ref: tag.commit.sha },
+      options
+    );
+    return {
+      tag: tag.name,
+      publishedAt: commit.data.commit.committer.date,
+      prerelease: /-/.test(tag.name),
+      hasNotes: null,
+    };
+  });
+  return {
+    source: "tags",
+    releases: tags.sort(
+      (a, b) => toTime(b.publishedAt) - toTime(a.publishedAt)
+    ),
+  };
+}
+
+/**
+ * Run a request whose data may be hidden from us: 403/404 (not authorized,
+ * or the feature is not enabled) resolve to `{ status }` instead of
+ * throwing, like getDependabotAlerts. Rate-limit 403s are transient and
+ * still propagate.
+ *
+ * @param {Promise<object>} request - a cachedRequest call
+ * @returns {Promise<object>} The response, or { status: 403|404 }
+ */
+async function unlessForbidden(request) {
+  try {
+    return await request;
+  } catch (err) {
+    if ((err.status === 403 || err.status === 404) && !err.transient) {
+      return { status: err.status };
+    }
+    throw err;
+  }
+}
+
+/**
+ * Collect security posture signals for the default branch:
+ *
+ *  - branch protection / rulesets: required reviews and status checks
+ *  - secret scanning and code scanning: enabled, and open alert counts
+ *  - share of signed (verified) commits in the last 90 days
+ *  - a SECURITY.md, or private vulnerability reporting
+ *
+ * Anything we are not allowed to see is reported as null (unknown) rather
+ * than failing the whole fetch.
+ *
+ * @param {string} owner
+ * @param {string} repo
+ * @param {object} [options] - cache options, see cachedRequest
+ * @returns {Promise<object>} see scoreSecurityPosture for the shape
+ */
+async function getSecurityPosture(owner, repo, options = {}) {
+  const info = await getRepoInfo(owner, repo, options);
+  const branch = info.default_branch;
+  const request = (route, params = {}) =>
+    unlessForbidden(
+      cachedRequest("security", route, { owner, repo, ...params }, options)
+    );
+
+  const [branchRes, protectionRes, rulesRes, secretRes, codeRes, pvrRes] =
+    await Promise.all([
+      request("GET /repos/{owner}/{repo}/branches/{branch}", { branch }),
+      request("GET /repos/{owner}/{repo}/branches/{branch}/protection", {
+        branch,
+      }),
+      request("GET /repos/{owner}/{repo}/rules/branches/{branch}", { branch }),
+      request("GET /repos/{owner}/{repo}/secret-scanning/alerts", {
+        state: "open",
+        per_page: 100,
+      }),
+      request("GET /repos/{owner}/{repo}/code-scanning/alerts", {
+        state: "open",
+        per_page: 100,
+      }),
+      request("GET /repos/{owner}/{repo}/private-vulnerability-reporting"),
+    ]);
+  const [tree, history] = await Promise.all([
+    getRepoTree(owner, repo, options),
+    listCommitHistory(owner, repo, {
+      ...options,
+      since: daysAgoISO(90),
+      maxPages: 3,
+    }),
   ]);
 
-  // 4. Delegate to your util
-  return computeDeveloperChurn(oldSet, recentSet);
+  // Classic protection (admin only) and rulesets (public) both count
+  const protection = protectionRes.data || null;
+  const rules = Array.isArray(rulesRes.data) ? rulesRes.data : [];
+  const reviewRule = rules.find((r) => r.type === "pull_request");
+  const checksRule = rules.find((r) => r.type === "required_status_checks");
+  const branchData = branchRes.data || {};
+  let requiredReviews = null;
+  if (protection && protection.required_pull_request_reviews) {
+    requiredReviews =
+      protection.required_pull_request_reviews.required_approving_review_count;
+  } else if (reviewRule) {
+    requiredReviews = reviewRule.parameters
+      ? reviewRule.parameters.required_approving_review_count
+      : 0;
+  } else if (protection) {
+    requiredReviews = 0;
+  }
+  const branchChecks =
+    branchData.protection && branchData.protection.required_status_checks;
+  const statusChecks = Boolean(
+    (protection && protection.required_status_checks) ||
+      checksRule ||
+      (branchChecks &&
+        branchChecks.enforcement_level &&
+        branchChecks.enforcement_level !== "off")
+  );
+
+  // GitHub also answers 404 to callers without admin or security access,
+  // so a 404 only means "off" when we are known to have that access;
+  // otherwise (and on 403) we cannot tell
+  const analysis = info.security_and_analysis || null;
+  const securityAccess = Boolean(
+    (info.permissions && info.permissions.admin) || analysis
+  );
+  const scanning = (res, setting) => {
+    let enabled = null;
+    if (res.data) enabled = true;
+    else if (setting) enabled = setting.status === "enabled";
+    else if (res.status === 404 && securityAccess) enabled = false;
+    return {
+      enabled,
+      openAlerts: Array.isArray(res.data) ? res.data.length : null,
+    };
+  };
+
+  const verified = history.commits.filter((c) => c.verified).length;
+  return {
+    branch,
+    branchProtection: {
+      protected: Boolean(branchData.protected || protection || rules.length),
+      requiredReviews,
+      statusChecks,
+    },
+    secretScanning: scanning(secretRes, analysis && analysis.secret_scanning),
+    codeScanning: scanning(codeRes),
+    signedCommits: {
+      commits: history.commits.length,
+      signedShare: history.commits.length
+        ? (verified / history.commits.length) * 100
+        : null,
+    },
+    securityPolicy: {
+      file: findCommunityFiles(tree.files.map((f) => f.path)).security,
+      privateReporting: pvrRes.data ? Boolean(pvrRes.data.enabled) : null,
+    },
+  };
+}
+
+/**
+ * Per-file authorship history for the files currently in the repository,
+ * built from the changed-file lists of the most recent commits.
+ *
+ * Commits are replayed oldest first so renames carry a file's history to its
+ * new path. Only the sampled commits are seen, so for older files the
+ * creator may be unknown. Bot commits are skipped.
+ *
+ * @param {string} owner
+ * @param {string} repo
+ * @param {object} [options] - cache options, see cachedRequest
+ * @param {number} [options.sampleSize] - commits to inspect (default config.github.authorshipSample)
+ * @returns {Promise<{ files: object, filesInTree: number, commitsAnalysed: number, treeTruncated: boolean }>}
+ *   files maps path → { creator: string|null, commits: { [author]: number } }
+ */
+async function getFileAuthorship(owner, repo, options = {}) {
+  const { sampleSize = config.github.authorshipSample } = options;
+  const [tree, history] = await Promise.all([
+    getRepoTree(owner, repo, options),
+    listCommitHistory(owner, repo, {
+      ...options,
+      since: undefined,
+      maxPages: Math.ceil(sampleSize / 100),
+    }),
+  ]);
+
+  const sample = history.commits
+    .slice(0, sampleSize)
+    .filter((c) => !isBot({ login: c.author, type: c.authorType }));
+  const details = await mapConcurrent(sample, (c) =>
+    cachedRequest(
+      "commitDetail",
+      "GET /repos/{owner}/{repo}/commits/{ref}",
+      { owner, repo, ref: c.sha },
+      options
+    ).then((res) => ({ author: c.author, files: res.data.files || [] }))
+  );
+
+  const byPath = new Map();
+  // Newest first from the API; replay oldest first
+  details.reverse().forEach(({ author, files }) => {
+    files.forEach((f) => {
+      if (f.status === "renamed" && byPath.has(f.previous_filename)) {
+        byPath.set(f.filename, byPath.get(f.previous_filename));
+        byPath.delete(f.previous_filename);
+      }
+      if (f.status === "removed") {
+        byPath.delete(f.filename);
+        return;
+      }
+      let file = byPath.get(f.filename);
+      if (!file) {
+        file = { creator: null, commits: {} };
+        byPath.set(f.filename, file);
+      }
+      if (f.status === "added") file.creator = author;
+      file.commits[author] = (file.commits[author] || 0) + 1;
+    });
+  });
+
+  const files = {};
+  tree.files.forEach(({ path }) => {
+    if (byPath.has(path)) files[path] = byPath.get(path);
+  });
+  return {
+    files,
+    filesInTree: tree.files.length,
+    commitsAnalysed: sample.length,
+    treeTruncated: tree.truncated,
+  };
+}
+
+// Shortest halves a truncated churn walk may be split into
+const MIN_CHURN_WINDOW_DAYS = 90;
+
+/**
+ * Compute developer churn from one walk of the last 24 months of commits.
+ *
+ * The walked span is split in two equal halves: authors active in the older
+ * half form the old set and authors active in the newer half the recent set;
+ * see computeDeveloperChurn. Normally these are 12–24 months ago and the
+ * last 12 months. When the page cap stops the walk early (very busy
+ * repositories), the span it did reach is split instead, so churn compares
+ * two shorter windows (`windowDays`); below MIN_CHURN_WINDOW_DAYS each it is
+ * null.
+ *
+ * The same commits give newcomer retention (see computeNewcomerRetention):
+ * newcomers are authors whose first walked commit is in the newer half, so
+ * the whole older half shows nothing from them. Someone back after a year
+ * away counts as a newcomer. Bots are excluded, since they never "leave".
+ *
+ * @param {string} owner
+ * @param {string} repo
+ * @param {object} [options] - cache options, see cachedRequest
+ * @returns {Promise<{ churn: number|null, newcomerRetention: number|null, newcomers: number, oldContributors: number, recentContributors: number, commitsWalked: number, windowDays: number, truncated: boolean }>}
+ */
+async function getDeveloperChurn(owner, repo, options = {}) {
+  const now = Date.now();
+  const history = await listCommitHistory(owner, repo, {
+    ...options,
+    since: daysAgoISO(2 * 365),
+  });
+
+  // Newest first, so a truncated walk covers its oldest commit up to now
+  let start = now - 2 * 365 * DAY_MS;
+  if (history.truncated && history.commits.length) {
+    start = Math.min(...history.commits.map((c) => toTime(c.date)));
+  }
+  const split = start + (now - start) / 2;
+  const windowDays = Math.round((now - split) / DAY_MS);
+
+  const humans = history.commits.filter(
+    (c) => !isBot({ login: c.author, type: c.authorType })
+  );
+  const oldSet = new Set();
+  const recentSet = new Set();
+  humans.forEach((c) => {
+    const t = toTime(c.date);
+    if (t >= split) recentSet.add(c.author);
+    else if (t >= start) oldSet.add(c.author);
+  });
+  const activity = summariseAuthors(humans);
+  const newcomers = newcomerCandidates(activity, { since: split, now }).filter(
+    (author) => author !== "email:unknown"
+  );
+
+  return {
+    churn:
+      windowDays >= MIN_CHURN_WINDOW_DAYS
+        ? computeDeveloperChurn(oldSet, recentSet)
+        : null,
+    newcomerRetention: computeNewcomerRetention(activity, newcomers),
+    newcomers: newcomers.length,
+    oldContributors: oldSet.size,
+    recentContributors: recentSet.size,
+    commitsWalked: history.commits.length,
+    windowDays,
+    truncated: history.truncated,
+  };
+}
+
+/**
+ * Current core REST API quota. Not cached, and GitHub does not count this
+ * call against the limit.
+ *
+ * @returns {Promise<{ limit: number, remaining: number, reset: number }>}
+ *   reset is a UNIX timestamp (seconds)
+ */
+async function getRateLimit() {
+  const { data } = await octokit.rest.rateLimit.get();
+  return {
+    limit: data.rate.limit,
+    remaining: data.rate.remaining,
+    reset: data.rate.reset,
+  };
 }
 
 module.exports = {
+  getRateLimit,
   getCommitActivity,
   listRecentClosedIssues,
   listRecentClosedPRs,
+  getPRReviewDetails,
+  getIssueActivity,
   listContributors,
-  getTestPresence,
   getReadme,
   getDependabotAlerts,
+  listCommitHistory,
+  getRepoTree,
+  getFileContent,
+  getBlob,
+  getTestSuite,
+  getRepoInfo,
+  getCiHealth,
+  getCommunityHealth,
+  listReleases,
+  getSecurityPosture,
+  getFileAuthorship,
   getDeveloperChurn,
 };
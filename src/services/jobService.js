@@ -0,0 +1,325 @@
+// src/services/jobService.js
+
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { resolveScoreOptions, scoreRepository } = require("./repoScoreService");
+const { runBatch, parseRepoSpec, parseConcurrency } = require("./batchService");
+const config = require("../config");
+
+const JOB_TYPES = ["score", "batch"];
+const FINISHED = ["completed", "failed", "cancelled"];
+// Only the most recent progress steps are kept on the job record
+const MAX_STEPS = 100;
+
+// Job records (plain, JSON-serialisable) by id
+const jobs = new Map();
+// Runtime-only state, never persisted
+const emitters = new Map();
+const aborts = new Map();
+const writes = new Map();
+// Frees a running job's worker slot (once, on finish or cancel)
+const releases = new Map();
+
+const queue = [];
+let running = 0;
+
+function jobFile(id) {
+  return path.join(config.jobs.dir, `${id}.json`);
+}
+
+/**
+ * Write the job record to disk. Writes for the same job are chained so an
+ * older state can never overwrite a newer one.
+ */
+function persist(job) {
+  const previous = writes.get(job.id) || Promise.resolve();
+  const write = previous
+    .then(() => fs.mkdir(config.jobs.dir, { recursive: true }))
+    .then(() => fs.writeFile(jobFile(job.id), JSON.stringify(job)))
+    .catch((err) =>
+      console.warn(`Could not persist job ${job.id}: ${err.message}`)
+    )
+    .finally(() => {
+      if (writes.get(job.id) === write) writes.delete(job.id);
+    });
+  writes.set(job.id, write);
+  return write;
+}
+
+function emit(job, event, data) {
+  const emitter = emitters.get(job.id);
+  if (emitter) emitter.emit("event", event, data);
+}
+
+/**
+ * Forget the oldest finished jobs, in memory and on disk, beyond
+ * config.jobs.retain.
+ */
+function prune() {
+  const finished = [...jobs.values()]
+    .filter((job) => FINISHED.includes(job.status))
+    .sort((a, b) => (a.finishedAt || "").localeCompare(b.finishedAt || ""));
+  finished
+    .slice(0, Math.max(0, finished.length - config.jobs.retain))
+    .forEach((job) => {
+      jobs.delete(job.id);
+      // After any pending write, or the file would be recreated
+      const previous = writes.get(job.id) || Promise.resolve();
+      previous
+        .then(() => fs.unlink(jobFile(job.id)))
+        .catch((err) => {
+          if (err.code !== "ENOENT") {
+            console.warn(`Could not remove job ${job.id}: ${err.message}`);
+          }
+        });
+    });
+}
+
+function update(job, changes) {
+  Object.assign(job, changes);
+  persist(job);
+  emit(job, "status", job);
+  if (FINISHED.includes(job.status)) {
+    emit(job, "done", job);
+    emitters.delete(job.id);
+    aborts.delete(job.id);
+    prune();
+  }
+}
+
+function recordProgress(job, step) {
+  job.progress.steps.push(step);
+  if (job.progress.steps.length > MAX_STEPS) job.progress.steps.shift();
+  persist(job);
+  emit(job, "progress", step);
+}
+
+/**
+ * Validate job input before anything is queued.
+ * @throws {Error} 400 on an unknown type, bad repository list or options
+ */
+function validateParams(params) {
+  const fail = (message) => {
+    const err = new Error(message);
+    err.status = 400;
+    throw err;
+  };
+  if (!JOB_TYPES.includes(params.type)) {
+    fail(`Job "type" must be one of ${JOB_TYPES.join(", ")}`);
+  }
+  if (params.type === "score") {
+    try {
+      parseRepoSpec(params.repo);
+    } catch (err) {
+      fail(err.message);
+    }
+  } else if (!Array.isArray(params.repos) || params.repos.length === 0) {
+    fail('Batch jobs need a non-empty "repos" array');
+  } else if (params.repos.length > config.batch.maxRepos) {
+    fail(`Too many repositories; the limit is ${config.batch.maxRepos}`);
+  }
+  parseConcurrency(params.concurrency);
+  resolveScoreOptions(params.options);
+}
+
+async function execute(job) {
+  const controller = aborts.get(job.id);
+  const scoreOptions = resolveScoreOptions(job.params.options);
+
+  if (job.params.type === "score") {
+    const { owner, repo } = parseRepoSpec(job.params.repo);
+    job.progress.total = 1;
+    const result = await scoreRepository(
+      owner,
+      repo,
+      { ...scoreOptions, signal: controller.signal },
+      (event) => recordProgress(job, { repo: `${owner}/${repo}`, ...event })
+    );
+    job.progress.done = 1;
+    return result;
+  }
+
+  job.progress.total = job.params.repos.length;
+  return runBatch(job.params.repos, {
+    scoreOptions,
+    concurrency: parseConcurrency(job.params.concurrency),
+    signal: controller.signal,
+    onProgress: (repo, event) => recordProgress(job, { repo, ...event }),
+    onResult: (entry) => {
+      job.progress.done++;
+      recordProgress(job, { repo: entry.repo, finished: true, ok: entry.ok });
+    },
+  });
+}
+
+/** Start queued jobs while there are free workers. */
+function pump() {
+  while (running < config.jobs.workers && queue.length) {
+    const job = queue.shift();
+    if (job.status !== "queued") continue;
+    running++;
+    let released = false;
+    releases.set(job.id, () => {
+      if (released) return;
+      released = true;
+      releases.delete(job.id);
+      running--;
+      pump();
+    });
+    update(job, { status: "running", startedAt: new Date().toISOString() });
+    execute(job)
+      .then((result) => {
+        // A cancelled job's late result is discarded
+        if (job.status !== "running") return;
+        update(job, {
+          status: "completed",
+          result,
+          finishedAt: new Date().toISOString(),
+        });
+      })
+      .catch((err) => {
+        if (job.status !== "running") return;
+        update(job, {
+          status: "failed",
+          error: err.message,
+          finishedAt: new Date().toISOString(),
+        });
+      })
+      .finally(() => {
+        const release = releases.get(job.id);
+        if (release) release();
+      });
+  }
+}
+
+/**
+ * Queue a scoring job.
+ *
+ * @param {{ type: "score"|"batch", repo?: string, repos?: string[], concurrency?: number, options?: object }} params
+ *   options are the same fields as the score query (profile, missing, ...)
+ * @returns {object} The new job record
+ * @throws {Error} 400 if the parameters are invalid
+ */
+function createJob(params) {
+  validateParams(params);
+  const job = {
+    id: crypto.randomUUID(),
+    type: params.type,
+    params,
+    status: "queued",
+    progress: { done: 0, total: null, steps: [] },
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+  };
+  jobs.set(job.id, job);
+  emitters.set(job.id, new EventEmitter());
+  aborts.set(job.id, new AbortController());
+  persist(job);
+  queue.push(job);
+  pump();
+  return job;
+}
+
+/**
+ * @param {string} id
+ * @returns {object} The job record
+ * @throws {Error} 404 if there is no such job
+ */
+function getJob(id) {
+  const job = jobs.get(id);
+  if (!job) {
+    const err = new Error(`Job ${id} not found`);
+    err.status = 404;
+    throw err;
+  }
+  return job;
+}
+
+/**
+ * Cancel a queued or running job. Its pending GitHub requests are aborted
+ * and its worker slot is freed straight away; a late result is dropped.
+ *
+ * @param {string} id
+ * @returns {object} The job record
+ * @throws {Error} 404 if missing, 409 if the job has already finished
+ */
+function cancelJob(id) {
+  const job = getJob(id);
+  if (FINISHED.includes(job.status)) {
+    const err = new Error(`Job ${id} has already ${job.status}`);
+    err.status = 409;
+    throw err;
+  }
+  const controller = aborts.get(id);
+  const release = releases.get(id);
+  if (controller) controller.abort();
+  update(job, { status: "cancelled", finishedAt: new Date().toISOString() });
+  if (release) release();
+  return job;
+}
+
+/**
+ * Listen for "status", "progress" and "done" events of a job.
+ *
+ * @param {string} id
+ * @param {(event: string, data: object) => void} listener
+ * @returns {() => void} Unsubscribe function (no-op if the job has finished)
+ */
+function subscribe(id, listener) {
+  getJob(id);
+  const emitter = emitters.get(id);
+  if (!emitter) return () => {};
+  emitter.on("event", listener);
+  return () => emitter.off("event", listener);
+}
+
+/**
+ * Load persisted jobs from disk. Jobs that were queued or running when the
+ * server stopped are marked failed, since their work was lost. Finished jobs
+ * beyond the retention limit are removed.
+ *
+ * @returns {Promise<number>} Number of jobs loaded
+ */
+async function loadJobs() {
+  let files;
+  try {
+    files = await fs.readdir(config.jobs.dir);
+  } catch (err) {
+    if (err.code === "ENOENT") return 0;
+    throw err;
+  }
+  for (const file of files.filter((f) => f.endsWith(".json"))) {
+    try {
+      const job = JSON.parse(
+        await fs.readFile(path.join(config.jobs.dir, file), "utf-8")
+      );
+      jobs.set(job.id, job);
+      if (!FINISHED.includes(job.status)) {
+        update(job, {
+          status: "failed",
+          error: "Server restarted before the job finished",
+          finishedAt: new Date().toISOString(),
+        });
+      }
+    } catch (err) {
+      console.warn(`Skipping unreadable job file ${file}: ${err.message}`);
+    }
+  }
+  prune();
+  return jobs.size;
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  cancelJob,
+  subscribe,
+  loadJobs,
+  JOB_TYPES,
+  FINISHED,
+};
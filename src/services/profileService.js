@@ -0,0 +1,146 @@
+// src/services/profileService.js
+
+const fs = require("fs");
+const config = require("../config");
+
+const CURVE_TYPES = ["linear", "log", "step"];
+
+// Parsed profiles, keyed by name (loaded once)
+let profiles = null;
+
+function configError(message) {
+  return new Error(
+    `Invalid scoring profiles (${config.scoring.profilesPath}): ${message}`
+  );
+}
+
+/**
+ * Validate a single normalisation curve.
+ *
+ * linear / log: `min` is the raw value that scores 0, `max` the raw value
+ * that scores 10 (min > max means lower is better).
+ * step: `steps` is an ascending list of { from, score }; a raw value gets the
+ * score of the last step whose `from` it reaches.
+ */
+function validateCurve(name, metric, curve) {
+  const where = `profile "${name}", curve "${metric}"`;
+  if (!curve || !CURVE_TYPES.includes(curve.type)) {
+    throw configError(
+      `${where}: type must be one of ${CURVE_TYPES.join(", ")}`
+    );
+  }
+  if (curve.type === "step") {
+    if (!Array.isArray(curve.steps) || curve.steps.length === 0) {
+      throw configError(`${where}: step curves need a non-empty "steps" list`);
+    }
+    curve.steps.forEach((s, i) => {
+      if (typeof s.from !== "number" || typeof s.score !== "number") {
+        throw configError(
+          `${where}: each step needs numeric "from" and "score"`
+        );
+      }
+      if (i > 0 && s.from <= curve.steps[i - 1].from) {
+        throw configError(`${where}: steps must be in ascending "from" order`);
+      }
+    });
+    return;
+  }
+  if (typeof curve.min !== "number" || typeof curve.max !== "number") {
+    throw configError(`${where}: numeric "min" and "max" anchors are required`);
+  }
+  if (curve.min === curve.max) {
+    throw configError(`${where}: "min" and "max" anchors must differ`);
+  }
+  if (curve.type === "log" && (curve.min < 0 || curve.max < 0)) {
+    throw configError(`${where}: log anchors must be ≥ 0`);
+  }
+}
+
+/**
+ * Validate a profile: weights must sum to 100 and every weighted metric
+ * needs a valid curve.
+ */
+function validateProfile(name, profile) {
+  const weights = profile.weights || {};
+  const sum = Object.values(weights).reduce((acc, w) => {
+    if (typeof w !== "number" || w < 0) {
+      throw configError(`profile "${name}": weights must be numbers ≥ 0`);
+    }
+    return acc + w;
+  }, 0);
+  if (Math.abs(sum - 100) > 1e-9) {
+    throw configError(`profile "${name}": weights sum to ${sum}, expected 100`);
+  }
+  Object.keys(weights).forEach((metric) =>
+    validateCurve(name, metric, profile.curves[metric])
+  );
+}
+
+/**
+ * Load and validate all scoring profiles from the configured JSON file.
+ * Profile curves are merged over the file's shared `curves`.
+ *
+ * @returns {object} profile name → { name, description, weights, curves }
+ * @throws {Error} If the file is unreadable or any profile is invalid
+ */
+function loadProfiles() {
+  let file;
+  try {
+    file = JSON.parse(fs.readFileSync(config.scoring.profilesPath, "utf-8"));
+  } catch (err) {
+    throw configError(err.message);
+  }
+
+  const loaded = {};
+  Object.entries(file.profiles || {}).forEach(([name, p]) => {
+    const profile = {
+      name,
+      description: p.description || "",
+      weights: { ...p.weights },
+      curves: { ...file.curves, ...p.curves },
+    };
+    validateProfile(name, profile);
+    loaded[name] = profile;
+  });
+  if (!loaded[config.scoring.profile]) {
+    throw configError(
+      `default profile "${config.scoring.profile}" is not defined`
+    );
+  }
+
+  profiles = loaded;
+  return profiles;
+}
+
+/**
+ * Look up a scoring profile by name (defaults to the configured profile).
+ *
+ * @param {string} [name]
+ * @returns {{ name: string, description: string, weights: object, curves: object }}
+ * @throws {Error} 400 if no such profile exists
+ */
+function getProfile(name = config.scoring.profile) {
+  if (!profiles) loadProfiles();
+  // Own keys only: "toString" or "__proto__" are not profiles
+  if (!Object.prototype.hasOwnProperty.call(profiles, name)) {
+    const err = new Error(
+      `Unknown scoring profile "${name}" (available: ${Object.keys(
+        profiles
+      ).join(", ")})`
+    );
+    err.status = 400;
+    throw err;
+  }
+  return profiles[name];
+}
+
+/**
+ * List all available scoring profiles.
+ * @returns {Array<{ name: string, description: string, weights: object, curves: object }>}
+ */
+function listProfiles() {
+  if (!profiles) loadProfiles();
+  return Object.values(profiles);
+}
+
+module.exports = { loadProfiles, getProfile, listProfiles, CURVE_TYPES };
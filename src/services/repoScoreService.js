@@ -0,0 +1,704 @@
+// src/services/repoScoreService.js
+
+const {
+  getCommitActivity,
+  listRecentClosedIssues,
+  listRecentClosedPRs,
+  getPRReviewDetails,
+  getIssueActivity,
+  listContributors,
+  getReadme,
+  getDependabotAlerts,
+  getDeveloperChurn,
+  getFileAuthorship,
+  getTestSuite,
+  getCiHealth,
+  getCommunityHealth,
+  listReleases,
+  getSecurityPosture,
+  getRepoTree,
+  getRepoInfo,
+} = require("./githubService");
+
+const { runScorecard } = require("./scorecardService");
+const { scanRepository } = require("./advisoryService");
+
+const {
+  computeWeeklyAverage,
+  summariseCommitTrend,
+  scoreCommitTrend,
+  medianResolutionTime,
+  medianPRDuration,
+  medianTimeToMerge,
+  computePRMergeRate,
+  medianTimeToFirstResponse,
+  computeUnreviewedRate,
+  medianReviewRounds,
+  medianMaintainerResponse,
+  computeUnansweredShare,
+  computeBacklogGrowth,
+  computeStaleRatio,
+  computeNotPlannedShare,
+  estimateBusFactor,
+  computeFileAuthors,
+  computeTruckFactor,
+  scoreCiHealth,
+  summariseReleases,
+  scoreReleaseCadence,
+  summariseVulnerabilities,
+  scoreVulnerabilities,
+  describeSample,
+} = require("../utils/metricsCalculator");
+
+const {
+  scoreDetails,
+  explainBreakdown,
+  MISSING_DATA_MODES,
+  NORMALISATION_METHODS,
+} = require("../utils/scoreAggregator");
+const { partitionBots } = require("../utils/botFilter");
+const { scoreTestSuite } = require("../utils/testAnalyzer");
+const { analyseReadme, scoreReadme } = require("../utils/markdownParser");
+const { scoreSecurityPosture } = require("../utils/securityPosture");
+const {
+  scoreCommunityFiles,
+  licenseWarning,
+} = require("../utils/communityHealth");
+const { getProfile } = require("./profileService");
+const { loadCalibration, stratumOf } = require("./calibrationService");
+const { newCacheStats } = require("./cacheService");
+const { saveSnapshot } = require("./snapshotService");
+const config = require("../config");
+
+// Single-owner files listed in the response (the count is always complete)
+const MAX_CRITICAL_FILES = 50;
+
+/**
+ * Parse a lookback window such as "90d" into days.
+ * @throws {Error} 400 if the window is malformed or not allowed
+ */
+function parseWindow(value) {
+  if (value === undefined) return config.scoring.window;
+  const match = /^(\d+)d$/.exec(String(value));
+  const days = match && parseInt(match[1], 10);
+  if (!config.scoring.windows.includes(days)) {
+    const err = new Error(
+      `Invalid window "${value}" (use ${config.scoring.windows
+        .map((d) => `${d}d`)
+        .join(", ")})`
+    );
+    err.status = 400;
+    throw err;
+  }
+  return days;
+}
+
+/**
+ * Parse a label filter: comma-separated string or array → trimmed names.
+ */
+function parseLabels(value) {
+  if (value === undefined) return [];
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map((l) => String(l).trim()).filter(Boolean);
+}
+
+/**
+ * Parse a normalisation method: "curves" or "percentile".
+ * @throws {Error} 400 on an unknown method
+ */
+function parseNormalisation(value) {
+  const method = value === undefined ? config.scoring.normalisation : value;
+  if (!Object.prototype.hasOwnProperty.call(NORMALISATION_METHODS, method)) {
+    const err = new Error(
+      `Invalid normalisation "${method}" (use curves or percentile)`
+    );
+    err.status = 400;
+    throw err;
+  }
+  return method;
+}
+
+/**
+ * Validate and resolve scoring options from request input (query string or
+ * batch body).
+ *
+ * @param {{ missing?: string, profile?: string, refresh?: string|boolean, explain?: string|boolean, window?: string, labels?: string|string[], normalise?: string }} input
+ * @returns {{ mode: string, profile: object, refresh: boolean, explain: boolean, windowDays: number, labels: string[], normalisation: string }}
+ * @throws {Error} 400 on an unknown missing-data mode, profile, window or
+ *   normalisation
+ */
+function resolveScoreOptions(input = {}) {
+  const mode = input.missing || config.scoring.missingData;
+  if (!Object.prototype.hasOwnProperty.call(MISSING_DATA_MODES, mode)) {
+    const err = new Error(
+      `Invalid missing-data mode "${mode}" (use renormalise or strict)`
+    );
+    err.status = 400;
+    throw err;
+  }
+  return {
+    mode,
+    windowDays: parseWindow(input.window),
+    labels: parseLabels(input.labels),
+    normalisation: parseNormalisation(input.normalise),
+    profile: getProfile(input.profile),
+    refresh: input.refresh === true || input.refresh === "true",
+    explain: input.explain === true || input.explain === "true",
+  };
+}
+
+/**
+ * Explain each unmeasured metric using the errors map collected while
+ * fetching. Metrics that failed silently (e.g. no churn window) get a
+ * generic reason.
+ *
+ * @param {string[]} missing  metric keys that had no value
+ * @param {object} errors     metric key → error message
+ * @param {string} mode       missing-data mode used for the score
+ * @returns {object} metric key → { treatment, reason }
+ */
+function describeMissing(missing, errors, mode) {
+  const treatment = mode === MISSING_DATA_MODES.strict ? "imputed" : "excluded";
+  const out = {};
+  missing.forEach((key) => {
+    out[key] = {
+      treatment,
+      ...(treatment === "imputed" && { imputedValue: 0 }),
+      reason: errors[key] || "No data returned for this metric",
+    };
+  });
+  return out;
+}
+
+/**
+ * Fetch all signals for a repository, compute the metrics and the weighted
+ * score, and record a history snapshot.
+ *
+ * Individual fetch failures never reject: they leave the metric null and are
+ * reported under `errors`. Aborting `options.signal` stops pending fetches
+ * and rejects with an AbortError; nothing is scored or recorded.
+ *
+ * @param {string} owner
+ * @param {string} repo
+ * @param {{ mode: string, profile: object, refresh: boolean, explain: boolean, signal?: AbortSignal }} options
+ *   as returned by resolveScoreOptions, plus an optional abort signal
+ * @param {(event: { fetch: string, ok: boolean, done: number, total: number }) => void} [onProgress]
+ *   called as each fetch settles
+ * @returns {Promise<object>} The score response body
+ */
+async function scoreRepository(owner, repo, options, onProgress) {
+  const { mode, profile, refresh, explain, windowDays, labels, signal } =
+    options;
+  const normalisation = options.normalisation || NORMALISATION_METHODS.curves;
+  // Fail before spending API quota if percentiles were asked for but there
+  // is no calibration
+  const calibration =
+    normalisation === NORMALISATION_METHODS.percentile
+      ? await loadCalibration()
+      : null;
+  const metrics = {
+    commitFreq: null,
+    commitTrend: null,
+    issueResTime: null,
+    issueFirstResponse: null,
+    issueBacklogGrowth: null,
+    issueStaleRatio: null,
+    issueNotPlannedShare: null,
+    prReviewDuration: null,
+    prTimeToMerge: null,
+    prFirstResponse: null,
+    prMergeRate: null,
+    prUnreviewedRate: null,
+    prReviewRounds: null,
+    contributorCount: null,
+    testSuite: null,
+    ciHealth: null,
+    readmeQuality: null,
+    communityFiles: null,
+    releaseCadence: null,
+    developerChurn: null,
+    newcomerRetention: null,
+    busFactor: null,
+    truckFactor: null,
+    vulnerabilities: null,
+    securityPosture: null,
+    ossfScore: null,
+    overallScore: null,
+  };
+  const errors = {};
+
+  // Cache options per fetch, so hit/miss counts can be reported separately
+  const cacheStats = {};
+  const opts = (name) => ({
+    refresh,
+    signal,
+    cacheStats: (cacheStats[name] = newCacheStats()),
+  });
+
+  // Execute all data-fetching calls in parallel
+  const readmeOptions = opts("readme");
+  const calls = {
+    commitData: getCommitActivity(owner, repo, opts("commitData")).catch(
+      (err) => {
+        errors.commitFreq = err.message;
+        errors.commitTrend = err.message;
+        return null;
+      }
+    ),
+    issues: listRecentClosedIssues(owner, repo, {
+      ...opts("issues"),
+      windowDays,
+      labels,
+    }).catch((err) => {
+      errors.issueResTime = err.message;
+      return null;
+    }),
+    issueActivity: getIssueActivity(owner, repo, {
+      ...opts("issueActivity"),
+      windowDays,
+      labels,
+    }).catch((err) => {
+      errors.issueFirstResponse = err.message;
+      errors.issueBacklogGrowth = err.message;
+      errors.issueStaleRatio = err.message;
+      errors.issueNotPlannedShare = err.message;
+      return null;
+    }),
+    prs: listRecentClosedPRs(owner, repo, {
+      ...opts("prs"),
+      windowDays,
+    }).catch((err) => {
+      errors.prReviewDuration = err.message;
+      errors.prTimeToMerge = err.message;
+      errors.prMergeRate = err.message;
+      return null;
+    }),
+    contributors: listContributors(owner, repo, opts("contributors")).catch(
+      (err) => {
+        errors.contributorCount = err.message;
+        errors.busFactor = err.message;
+        return null;
+      }
+    ),
+    tests: getTestSuite(owner, repo, opts("tests")).catch((err) => {
+      errors.testSuite = err.message;
+      return null;
+    }),
+    ci: getCiHealth(owner, repo, opts("ci")).catch((err) => {
+      errors.ciHealth = err.message;
+      return null;
+    }),
+    // The tree is only needed to check relative links; without it (or with
+    // a truncated listing) the link check is skipped
+    readme: Promise.all([
+      getReadme(owner, repo, readmeOptions),
+      getRepoTree(owner, repo, readmeOptions).catch(() => null),
+    ])
+      .then(([md, tree]) =>
+        analyseReadme(md, {
+          paths:
+            tree && !tree.truncated ? tree.files.map((f) => f.path) : undefined,
+        })
+      )
+      .catch((err) => {
+        errors.readmeQuality = err.message;
+        return null;
+      }),
+    community: getCommunityHealth(owner, repo, opts("community")).catch(
+      (err) => {
+        errors.communityFiles = err.message;
+        return null;
+      }
+    ),
+    releases: listReleases(owner, repo, opts("releases")).catch((err) => {
+      errors.releaseCadence = err.message;
+      return null;
+    }),
+    // Without access to Dependabot alerts, scan lockfiles offline instead
+    alerts: getDependabotAlerts(owner, repo, opts("alerts"))
+      .then(async (alerts) => {
+        if (alerts) return { source: "dependabot", alerts };
+        const scan = await scanRepository(owner, repo, opts("advisoryScan"));
+        return { source: "osv-scan", ...scan };
+      })
+      .catch((err) => {
+        errors.vulnerabilities = err.message;
+        return null;
+      }),
+    churn: getDeveloperChurn(owner, repo, opts("churn")).catch((err) => {
+      errors.developerChurn = err.message;
+      return null;
+    }),
+    authorship: getFileAuthorship(owner, repo, opts("authorship")).catch(
+      (err) => {
+        errors.truckFactor = err.message;
+        return null;
+      }
+    ),
+    security: getSecurityPosture(owner, repo, opts("security")).catch((err) => {
+      errors.securityPosture = err.message;
+      return null;
+    }),
+    scorecard: runScorecard(owner, repo).catch((err) => {
+      errors.ossfScore = err.message;
+      return null;
+    }),
+    // Primary language, recorded so a corpus of scores can be stratified
+    repoInfo: getRepoInfo(owner, repo, opts("repo")).catch(() => null),
+  };
+
+  // Review events depend on the PR list, so chain them onto it
+  calls.prReviews = calls.prs
+    .then((prs) =>
+      prs ? getPRReviewDetails(owner, repo, prs, opts("prReviews")) : null
+    )
+    .catch((err) => {
+      errors.prFirstResponse = err.message;
+      errors.prUnreviewedRate = err.message;
+      errors.prReviewRounds = err.message;
+      return null;
+    });
+
+  if (onProgress) {
+    const names = Object.keys(calls);
+    let done = 0;
+    names.forEach((name) => {
+      calls[name] = calls[name].then((value) => {
+        done++;
+        onProgress({
+          fetch: name,
+          ok: value !== null,
+          done,
+          total: names.length,
+        });
+        return value;
+      });
+    });
+  }
+
+  const [
+    commitData,
+    issues,
+    prs,
+    contributors,
+    tests,
+    ci,
+    readme,
+    community,
+    releases,
+    alerts,
+    churn,
+    authorship,
+    security,
+    scorecard,
+    prReviews,
+    issueActivity,
+    repoInfo,
+  ] = await Promise.all([
+    calls.commitData,
+    calls.issues,
+    calls.prs,
+    calls.contributors,
+    calls.tests,
+    calls.ci,
+    calls.readme,
+    calls.community,
+    calls.releases,
+    calls.alerts,
+    calls.churn,
+    calls.authorship,
+    calls.security,
+    calls.scorecard,
+    calls.prReviews,
+    calls.issueActivity,
+    calls.repoInfo,
+  ]);
+  // Fetches swallow their errors, so check for a cancellation here
+  if (signal) signal.throwIfAborted();
+
+  // Compute metrics from fetched data
+  // Sample size and date span behind each median
+  const samples = {};
+  let activity = null;
+  if (commitData) {
+    metrics.commitFreq = computeWeeklyAverage(commitData);
+    // Slope, quarter-on-quarter change and gaps across the weekly series
+    activity = summariseCommitTrend(commitData);
+    metrics.commitTrend = scoreCommitTrend(activity);
+  }
+  if (issues) {
+    metrics.issueResTime = medianResolutionTime(issues);
+    if (metrics.issueResTime === null) {
+      errors.issueResTime = "No closed issues in the window";
+    }
+    samples.issueResTime = describeSample(issues, windowDays);
+  }
+  if (issueActivity) {
+    const { opened, closed, open, stale, completed, notPlanned } =
+      issueActivity;
+    metrics.issueFirstResponse = medianMaintainerResponse(issueActivity.sample);
+    metrics.issueBacklogGrowth = computeBacklogGrowth(opened, closed);
+    metrics.issueStaleRatio = computeStaleRatio(stale, open);
+    metrics.issueNotPlannedShare = computeNotPlannedShare(
+      notPlanned,
+      completed
+    );
+    samples.issueFirstResponse = {
+      ...describeSample(issueActivity.sample, windowDays),
+      // issues still waiting count toward the median with their wait so far
+      unansweredShare: computeUnansweredShare(issueActivity.sample),
+    };
+    samples.issueActivity = {
+      opened,
+      closed,
+      open,
+      stale,
+      completed,
+      notPlanned,
+      staleDays: issueActivity.staleDays,
+      labels,
+    };
+  }
+  if (prs) {
+    metrics.prReviewDuration = medianPRDuration(prs);
+    if (metrics.prReviewDuration === null) {
+      errors.prReviewDuration = "No closed PRs in the window";
+    }
+    samples.prReviewDuration = describeSample(prs, windowDays);
+    const merged = prs.filter((pr) => pr.merged_at);
+    metrics.prTimeToMerge = medianTimeToMerge(merged);
+    if (metrics.prTimeToMerge === null) {
+      errors.prTimeToMerge = "No merged PRs in the window";
+    }
+    samples.prTimeToMerge = describeSample(merged, windowDays);
+    metrics.prMergeRate = computePRMergeRate(prs);
+  }
+  if (prReviews) {
+    metrics.prFirstResponse = medianTimeToFirstResponse(prReviews);
+    metrics.prUnreviewedRate = computeUnreviewedRate(prReviews);
+    metrics.prReviewRounds = medianReviewRounds(prReviews);
+    samples.prFirstResponse = describeSample(prReviews, windowDays);
+  }
+  // Bot accounts excluded from contributor-based metrics
+  let bots = null;
+  if (contributors) {
+    const split = partitionBots(contributors);
+    metrics.contributorCount = split.humans.length;
+    metrics.busFactor = estimateBusFactor(split.humans);
+    bots = {
+      excluded: split.bots.length,
+      accounts: split.bots.map((b) => b.login),
+    };
+  }
+  // File-ownership truck factor, reported next to the bus factor
+  let ownership = null;
+  if (authorship) {
+    const fileAuthors = computeFileAuthors(authorship.files);
+    const { truckFactor, keyDevelopers, criticalFiles } =
+      computeTruckFactor(fileAuthors);
+    metrics.truckFactor = truckFactor;
+    ownership = {
+      busFactor: metrics.busFactor,
+      truckFactor,
+      keyDevelopers,
+      criticalFileCount: criticalFiles.length,
+      criticalFiles: criticalFiles.slice(0, MAX_CRITICAL_FILES),
+      filesAnalysed: Object.keys(fileAuthors).length,
+      filesInTree: authorship.filesInTree,
+      commitsAnalysed: authorship.commitsAnalysed,
+      treeTruncated: authorship.treeTruncated,
+    };
+  }
+  // Churn and newcomer retention from one walk of the commit history
+  if (churn) {
+    metrics.developerChurn = churn.churn;
+    if (churn.churn === null && churn.truncated) {
+      errors.developerChurn =
+        "Commit history truncated (COMMIT_HISTORY_MAX_PAGES) too early to compare contributor sets";
+    }
+    // Informational only; not weighted in any profile
+    metrics.newcomerRetention = churn.newcomerRetention;
+    samples.developerChurn = {
+      oldContributors: churn.oldContributors,
+      recentContributors: churn.recentContributors,
+      newcomers: churn.newcomers,
+      commitsWalked: churn.commitsWalked,
+      windowDays: churn.windowDays,
+      truncated: churn.truncated,
+    };
+  }
+  // Graded 0-10 from test files, ratio, frameworks and CI wiring
+  if (tests) metrics.testSuite = scoreTestSuite(tests);
+  if (ci) metrics.ciHealth = scoreCiHealth(ci);
+  if (readme) metrics.readmeQuality = scoreReadme(readme);
+  let communityFiles = null;
+  if (community) {
+    metrics.communityFiles = scoreCommunityFiles(
+      community.files,
+      community.license
+    );
+    const keys = Object.keys(community.files);
+    communityFiles = {
+      source: community.source,
+      license: {
+        ...community.license,
+        warning: licenseWarning(community.files.license, community.license),
+      },
+      present: keys.filter((key) => community.files[key]),
+      missing: keys.filter((key) => !community.files[key]),
+      files: community.files,
+    };
+  }
+  let releaseSummary = null;
+  if (releases) {
+    releaseSummary = {
+      source: releases.source,
+      ...summariseReleases(releases.releases),
+      latest: releases.releases.length ? releases.releases[0].tag : null,
+    };
+    metrics.releaseCadence = scoreReleaseCadence(releaseSummary);
+  }
+  // Severity-weighted open alerts, remediation time, oldest open critical
+  let vulnerabilities = null;
+  if (alerts) {
+    vulnerabilities = {
+      source: alerts.source,
+      ...summariseVulnerabilities(alerts.alerts),
+    };
+    metrics.vulnerabilities = scoreVulnerabilities(vulnerabilities);
+    if (alerts.source === "osv-scan") {
+      // No findings only means "no vulnerabilities" if there was something
+      // to scan
+      let unscanned = null;
+      if (alerts.truncated) {
+        unscanned = "Repository tree truncated; lockfiles may be missing";
+      } else if (!alerts.manifests.length) {
+        unscanned = "No scannable lockfiles";
+      } else if (!alerts.dependencies) {
+        unscanned = "No scannable lockfiles (no pinned dependencies parsed)";
+      }
+      if (unscanned) {
+        metrics.vulnerabilities = null;
+        errors.vulnerabilities = unscanned;
+      }
+      vulnerabilities.scan = {
+        manifests: alerts.manifests,
+        skipped: alerts.skipped,
+        dependencies: alerts.dependencies,
+        advisories: alerts.advisories,
+        truncated: alerts.truncated,
+        findings: alerts.alerts.map((a) => ({
+          id: a.id,
+          package: a.package,
+          version: a.version,
+          severity: a.severity,
+          scope: a.scope,
+        })),
+      };
+    }
+  }
+  // Branch protection, secret/code scanning, signed commits, policy
+  let securityPosture = null;
+  if (security) {
+    const { score, checks } = scoreSecurityPosture(security);
+    metrics.securityPosture = score;
+    securityPosture = { ...security, checks };
+  }
+  if (scorecard && scorecard.Score !== null) {
+    metrics.ossfScore = scorecard.Score;
+  }
+
+  const language = (repoInfo && repoInfo.language) || null;
+  let calibrated = null;
+  if (calibration) {
+    calibrated = {
+      calibration,
+      stratum: stratumOf(calibration.stratify, { metrics, language }),
+    };
+  }
+
+  const score = scoreDetails(metrics, { mode, profile, calibrated });
+  metrics.overallScore = score.score;
+
+  const response = {
+    owner,
+    repo,
+    language,
+    profile: profile.name,
+    metrics,
+    samples,
+    activity,
+    bots,
+    ownership,
+    tests,
+    ci,
+    readme,
+    community: communityFiles,
+    releases: releaseSummary,
+    vulnerabilities,
+    securityPosture,
+    // share of total weight that was actually measured (0-1)
+    coverage: score.coverage,
+    breakdown: score.breakdown,
+    cache: { refresh, calls: cacheStats },
+  };
+  if (calibrated) {
+    response.normalisation = {
+      method: normalisation,
+      stratify: calibration.stratify,
+      stratum: calibrated.stratum,
+      repos: calibration.repos,
+      generatedAt: calibration.generatedAt,
+    };
+  }
+  if (explain) {
+    response.explanation = explainBreakdown(score.breakdown);
+  }
+  if (score.missing.length) {
+    response.missingData = {
+      mode,
+      metrics: describeMissing(score.missing, errors, mode),
+    };
+  }
+  if (scorecard) {
+    // Per-check OpenSSF results (Maintained, Branch-Protection, ...)
+    response.ossfChecks = scorecard.Checks;
+  }
+  if (Object.keys(errors).length) {
+    response.errors = errors;
+  }
+
+  // Nothing measured (unknown repo, outage): the score is null, or 0 in
+  // strict mode, and says nothing about the repository
+  if (config.snapshots.enabled && score.coverage > 0) {
+    const normalised = {};
+    Object.entries(score.breakdown).forEach(([key, b]) => {
+      normalised[key] = b.normalised;
+    });
+    try {
+      await saveSnapshot({
+        owner,
+        repo,
+        language,
+        profile: profile.name,
+        mode,
+        normalisation,
+        windowDays,
+        labels,
+        overallScore: metrics.overallScore,
+        coverage: score.coverage,
+        metrics,
+        normalised,
+      });
+    } catch (err) {
+      // History is best-effort; never fail the score itself
+      console.warn(
+        `Could not save snapshot for ${owner}/${repo}: ${err.message}`
+      );
+    }
+  }
+
+  return response;
+}
+
+module.exports = { resolveScoreOptions, scoreRepository };
@@ -1,47 +1,92 @@
 // src/services/scorecardService.js
 
-const { exec } = require("child_process");
+const { execFile } = require("child_process");
 const config = require("../config");
 
+// GitHub owner / repo names: letters, digits, "-", "_" and "."
+const NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+/**
+ * Extract the Scorecard JSON object from raw CLI stdout and reduce it to
+ * the overall score plus a per-check breakdown.
+ *
+ * The CLI may print log lines before/after the JSON, so we slice from the
+ * first "{" to the last "}".
+ *
+ * @param {string} stdout
+ * @returns {{ Score: number, Checks: Array<{ name: string, score: number, reason: string }> }}
+ * @throws {Error} If no JSON object can be parsed
+ */
+function parseScorecardOutput(stdout) {
+  const out = String(stdout).trim();
+  const jsonStart = out.indexOf("{");
+  const jsonEnd = out.lastIndexOf("}");
+  if (jsonStart === -1 || jsonEnd === -1) {
+    throw new Error("No JSON object found in output");
+  }
+  const parsed = JSON.parse(out.substring(jsonStart, jsonEnd + 1));
+
+  return {
+    Score: typeof parsed.score === "number" ? parsed.score : null,
+    Checks: (parsed.checks || []).map((c) => ({
+      name: c.name,
+      // Scorecard reports -1 for inconclusive checks
+      score: c.score,
+      reason: c.reason,
+    })),
+  };
+}
+
 /**
  * Runs the OpenSSF Scorecards CLI for a given repository.
  *
+ * The CLI is spawned directly (no shell), so owner/repo are passed as plain
+ * arguments and never interpreted by /bin/sh.
+ *
  * @param {string} owner
  * @param {string} repo
  * @param {string[]} checks
- * @returns {Promise<{ Score: number, Checks: Array }>}
+ * @returns {Promise<{ Score: number, Checks: Array<{ name: string, score: number, reason: string }> }>}
  */
 function runScorecard(owner, repo, checks = []) {
   return new Promise((resolve, reject) => {
-    const repoPath = `${owner}/${repo}`;
-    const checksArg = checks.length ? ` --checks=${checks.join(",")}` : "";
-    const cmd = `${config.scorecard.cliPath} --repo=${repoPath} --format=json${checksArg}`;
+    if (!NAME_PATTERN.test(owner) || !NAME_PATTERN.test(repo)) {
+      const err = new Error(`Invalid repository name: ${owner}/${repo}`);
+      err.status = 400;
+      return reject(err);
+    }
+
+    const args = [`--repo=${owner}/${repo}`, "--format=json"];
+    if (checks.length) args.push(`--checks=${checks.join(",")}`);
 
-    exec(cmd, { maxBuffer: 10 * 1024 * 1024 }, (err, stdout, stderr) => {
+    const options = {
+      maxBuffer: 10 * 1024 * 1024,
+      timeout: config.scorecard.timeoutMs,
+      // Scorecard reads its GitHub token from GITHUB_AUTH_TOKEN
+      env: { ...process.env, GITHUB_AUTH_TOKEN: config.github.token || "" },
+    };
+
+    execFile(config.scorecard.cliPath, args, options, (err, stdout, stderr) => {
       if (err) {
+        if (err.code === "ENOENT") {
+          return reject(
+            new Error(
+              `OpenSSF Scorecard CLI not found (looked for "${config.scorecard.cliPath}" on PATH)`
+            )
+          );
+        }
+        if (err.killed) {
+          return reject(
+            new Error(
+              `OpenSSF Scorecard timed out after ${config.scorecard.timeoutMs}ms`
+            )
+          );
+        }
         return reject(new Error(stderr || err.message));
       }
 
-      // // —— DEBUG: raw scorecard stdout ——
-      // console.log("--- DEBUG: raw scorecard stdout ---");
-      // console.log(stdout);
-      // console.log("--- DEBUG: end raw stdout ---");
-      // // —— END DEBUG ——
-
       try {
-        const out = stdout.trim();
-        const jsonStart = out.indexOf("{");
-        const jsonEnd = out.lastIndexOf("}");
-        if (jsonStart === -1 || jsonEnd === -1) {
-          throw new Error("No JSON object found in output");
-        }
-        const jsonString = out.substring(jsonStart, jsonEnd + 1);
-        const parsed = JSON.parse(jsonString);
-
-        resolve({
-          Score: parsed.score,
-          Checks: parsed.checks,
-        });
+        resolve(parseScorecardOutput(stdout));
       } catch (parseErr) {
         return reject(
           new Error(`Failed to parse Scorecard JSON: ${parseErr.message}`)
@@ -51,4 +96,4 @@ function runScorecard(owner, repo, checks = []) {
   });
 }
 
-module.exports = { runScorecard };
+module.exports = { runScorecard, parseScorecardOutput };
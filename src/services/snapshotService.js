@@ -0,0 +1,60 @@
+// src/services/snapshotService.js
+
+const fs = require("fs/promises");
+const path = require("path");
+const config = require("../config");
+
+/**
+ * One JSON-lines file per repository. GitHub names are case-insensitive,
+ * so the file name is lower-cased; anything outside [a-z0-9_.-] is replaced.
+ */
+function snapshotFile(owner, repo) {
+  const safe = (s) => s.toLowerCase().replace(/[^a-z0-9_.-]/g, "_");
+  return path.join(config.snapshots.dir, `${safe(owner)}__${safe(repo)}.jsonl`);
+}
+
+/**
+ * Append a computed score to the repository's history.
+ *
+ * @param {{ owner: string, repo: string, timestamp?: string, profile: string, mode: string, overallScore: number|null, coverage: number, metrics: object, normalised: object }} snapshot
+ * @returns {Promise<object>} The stored snapshot
+ */
+async function saveSnapshot(snapshot) {
+  const record = { timestamp: new Date().toISOString(), ...snapshot };
+  await fs.mkdir(config.snapshots.dir, { recursive: true });
+  await fs.appendFile(
+    snapshotFile(snapshot.owner, snapshot.repo),
+    JSON.stringify(record) + "\n"
+  );
+  return record;
+}
+
+/**
+ * Load stored snapshots for a repository, oldest first.
+ *
+ * @param {string} owner
+ * @param {string} repo
+ * @param {{ from?: Date, to?: Date }} [range]  inclusive bounds
+ * @returns {Promise<object[]>}
+ */
+async function listSnapshots(owner, repo, { from, to } = {}) {
+  let content;
+  try {
+    content = await fs.readFile(snapshotFile(owner, repo), "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+
+  return content
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .filter((s) => {
+      const t = new Date(s.timestamp);
+      return (!from || t >= from) && (!to || t <= to);
+    })
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+module.exports = { saveSnapshot, listSnapshots };
@@ -0,0 +1,35 @@
+const config = require("../config");
+
+/**
+ * Decide whether a GitHub account is a bot.
+ *
+ * Order of precedence:
+ *  1. config.bots.deny  → always a bot
+ *  2. config.bots.allow → never a bot (e.g. a human whose login ends in "bot")
+ *  3. login ending in "[bot]" (GitHub Apps: dependabot[bot], renovate[bot]…)
+ *  4. account type "Bot"
+ *
+ * @param {{ login: string, type?: string }} account
+ * @returns {boolean}
+ */
+function isBot(account) {
+  const login = String(account.login || "").toLowerCase();
+  if (config.bots.deny.includes(login)) return true;
+  if (config.bots.allow.includes(login)) return false;
+  return login.endsWith("[bot]") || account.type === "Bot";
+}
+
+/**
+ * Split accounts into humans and bots.
+ *
+ * @param {Array<{ login: string, type?: string }>} accounts
+ * @returns {{ humans: Array, bots: Array }}
+ */
+function partitionBots(accounts) {
+  const humans = [];
+  const bots = [];
+  accounts.forEach((a) => (isBot(a) ? bots : humans).push(a));
+  return { humans, bots };
+}
+
+module.exports = { isBot, partitionBots };
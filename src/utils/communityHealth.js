@@ -0,0 +1,139 @@
+// Community health files and where GitHub looks for them: the repository
+// root, .github/ or docs/
+const COMMUNITY_FILES = {
+  license: /^(LICEN[CS]E|COPYING)(\.[a-z]+)?$/i,
+  contributing: /^(\.github\/|docs\/)?CONTRIBUTING(\.[a-z]+)?$/i,
+  codeOfConduct: /^(\.github\/|docs\/)?CODE[_-]OF[_-]CONDUCT(\.[a-z]+)?$/i,
+  security: /^(\.github\/|docs\/)?SECURITY(\.[a-z]+)?$/i,
+  issueTemplate: /^(\.github\/|docs\/)?ISSUE_TEMPLATE(\.[a-z]+$|\/)/i,
+  pullRequestTemplate:
+    /^(\.github\/|docs\/)?PULL_REQUEST_TEMPLATE(\.[a-z]+$|\/)/i,
+  codeowners: /^(\.github\/|docs\/)?CODEOWNERS$/,
+};
+
+// Points per file; a license that is not OSI-approved earns half
+const FILE_POINTS = {
+  license: 3,
+  contributing: 1.5,
+  codeOfConduct: 1,
+  security: 1.5,
+  issueTemplate: 1,
+  pullRequestTemplate: 1,
+  codeowners: 1,
+};
+
+// OSI-approved licenses by SPDX id (the ones GitHub detects)
+const OSI_LICENSES = new Set([
+  "0BSD",
+  "AFL-3.0",
+  "AGPL-3.0",
+  "AGPL-3.0-only",
+  "AGPL-3.0-or-later",
+  "Apache-2.0",
+  "Artistic-2.0",
+  "BSD-2-Clause",
+  "BSD-3-Clause",
+  "BSD-3-Clause-Clear",
+  "BSL-1.0",
+  "CECILL-2.1",
+  "ECL-2.0",
+  "EPL-1.0",
+  "EPL-2.0",
+  "EUPL-1.1",
+  "EUPL-1.2",
+  "GPL-2.0",
+  "GPL-2.0-only",
+  "GPL-2.0-or-later",
+  "GPL-3.0",
+  "GPL-3.0-only",
+  "GPL-3.0-or-later",
+  "ISC",
+  "LGPL-2.1",
+  "LGPL-2.1-only",
+  "LGPL-2.1-or-later",
+  "LGPL-3.0",
+  "LGPL-3.0-only",
+  "LGPL-3.0-or-later",
+  "LPPL-1.3c",
+  "MIT",
+  "MIT-0",
+  "MPL-2.0",
+  "MS-PL",
+  "MS-RL",
+  "MulanPSL-2.0",
+  "NCSA",
+  "OFL-1.1",
+  "OSL-3.0",
+  "PostgreSQL",
+  "UPL-1.0",
+  "Unlicense",
+  "Zlib",
+]);
+
+/**
+ * Describe a license by SPDX id. GitHub reports "NOASSERTION" when it found
+ * a license file it could not identify.
+ *
+ * @param {string|null} spdxId
+ * @returns {{ spdxId: string|null, osiApproved: boolean }}
+ */
+function describeLicense(spdxId) {
+  const id = spdxId && spdxId !== "NOASSERTION" ? spdxId : null;
+  return { spdxId: id, osiApproved: Boolean(id && OSI_LICENSES.has(id)) };
+}
+
+/**
+ * Warning for a missing, unidentified or non-OSI license, or null if the
+ * license is fine.
+ *
+ * @param {string|null} licensePath  where the license file was found
+ * @param {{ spdxId: string|null, osiApproved: boolean }} license
+ * @returns {string|null}
+ */
+function licenseWarning(licensePath, license) {
+  if (!licensePath && !license.spdxId) return "No license found";
+  if (!license.spdxId) return "License could not be identified";
+  if (!license.osiApproved) {
+    return `License ${license.spdxId} is not OSI-approved`;
+  }
+  return null;
+}
+
+/**
+ * Locate community health files in a repository tree.
+ *
+ * @param {string[]} paths
+ * @returns {object} file key → path of the first match, or null
+ */
+function findCommunityFiles(paths) {
+  const found = {};
+  Object.entries(COMMUNITY_FILES).forEach(([key, re]) => {
+    found[key] = paths.find((p) => re.test(p)) || null;
+  });
+  return found;
+}
+
+/**
+ * Grade community health files 0-10: license 3 (1.5 if not OSI-approved),
+ * contributing guide 1.5, security policy 1.5, and code of conduct, issue
+ * template, PR template and CODEOWNERS 1 each.
+ *
+ * @param {object} files  file key → path or null, see findCommunityFiles
+ * @param {{ osiApproved: boolean }} license
+ * @returns {number}
+ */
+function scoreCommunityFiles(files, license) {
+  let score = 0;
+  Object.entries(FILE_POINTS).forEach(([key, points]) => {
+    if (!files[key]) return;
+    score += key === "license" && !license.osiApproved ? points / 2 : points;
+  });
+  return score;
+}
+
+module.exports = {
+  describeLicense,
+  licenseWarning,
+  findCommunityFiles,
+  scoreCommunityFiles,
+};
@@ -0,0 +1,69 @@
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Milliseconds since the epoch for a Date, ISO string or number.
+ *
+ * @param {Date|string|number} value
+ * @returns {number} NaN if the value is not a valid date
+ */
+function toTime(value) {
+  return value instanceof Date ? value.getTime() : new Date(value).getTime();
+}
+
+/**
+ * Hours from `start` to `end` (negative if end is earlier).
+ *
+ * @param {Date|string|number} start
+ * @param {Date|string|number} [end]  defaults to now
+ * @returns {number}
+ */
+function hoursBetween(start, end = Date.now()) {
+  return (toTime(end) - toTime(start)) / HOUR_MS;
+}
+
+/**
+ * Days from `start` to `end` (negative if end is earlier).
+ *
+ * @param {Date|string|number} start
+ * @param {Date|string|number} [end]  defaults to now
+ * @returns {number}
+ */
+function daysBetween(start, end = Date.now()) {
+  return (toTime(end) - toTime(start)) / DAY_MS;
+}
+
+/**
+ * Minutes from `start` to `end` (negative if end is earlier).
+ *
+ * @param {Date|string|number} start
+ * @param {Date|string|number} end
+ * @returns {number}
+ */
+function minutesBetween(start, end) {
+  return (toTime(end) - toTime(start)) / MINUTE_MS;
+}
+
+/**
+ * ISO timestamp for `days` ago, truncated to midnight UTC so that
+ * time-window queries produce stable cache keys throughout the day.
+ *
+ * @param {number} days
+ * @returns {string}
+ */
+function daysAgoISO(days) {
+  const d = new Date(Date.now() - days * DAY_MS);
+  d.setUTCHours(0, 0, 0, 0);
+  return d.toISOString();
+}
+
+module.exports = {
+  HOUR_MS,
+  DAY_MS,
+  toTime,
+  hoursBetween,
+  daysBetween,
+  minutesBetween,
+  daysAgoISO,
+};
@@ -0,0 +1,159 @@
+const { compareVersions } = require("./osvMatcher");
+
+// Lockfiles and manifests that pin exact versions, by file name
+const MANIFESTS = {
+  "package-lock.json": { ecosystem: "npm", parse: parsePackageLock },
+  "yarn.lock": { ecosystem: "npm", parse: parseYarnLock },
+  "requirements.txt": { ecosystem: "PyPI", parse: parseRequirements },
+  "go.sum": { ecosystem: "Go", parse: parseGoSum },
+  "Cargo.lock": { ecosystem: "crates.io", parse: parseCargoLock },
+};
+
+// Vendored or generated directories whose manifests are not the project's
+const IGNORED_DIRS = /(^|\/)(node_modules|vendor|third_party|\.git)\//;
+
+/**
+ * Dependency files in a repository tree that can be scanned.
+ *
+ * @param {string[]} paths
+ * @returns {string[]}
+ */
+function findManifests(paths) {
+  return paths.filter((p) => {
+    const name = p.split("/").pop();
+    return MANIFESTS[name] && !IGNORED_DIRS.test(p);
+  });
+}
+
+/**
+ * npm lockfile: v2/v3 "packages" map, or the nested v1 "dependencies".
+ * Packages only needed for development are marked as such.
+ */
+function parsePackageLock(content) {
+  const lock = JSON.parse(content);
+  const deps = [];
+  if (lock.packages) {
+    Object.entries(lock.packages).forEach(([path, pkg]) => {
+      const match = /(?:^|\/)node_modules\/((?:@[^/]+\/)?[^/]+)$/.exec(path);
+      if (!match || !pkg.version) return;
+      deps.push({
+        name: match[1],
+        version: pkg.version,
+        dev: Boolean(pkg.dev),
+      });
+    });
+    return deps;
+  }
+  const walk = (dependencies) =>
+    Object.entries(dependencies || {}).forEach(([name, pkg]) => {
+      if (pkg.version) {
+        deps.push({ name, version: pkg.version, dev: Boolean(pkg.dev) });
+      }
+      walk(pkg.dependencies);
+    });
+  walk(lock.dependencies);
+  return deps;
+}
+
+/** yarn.lock, classic (v1) and berry formats. */
+function parseYarnLock(content) {
+  const deps = [];
+  let names = null;
+  content.split("\n").forEach((line) => {
+    if (/^\S/.test(line) && line.trim().endsWith(":")) {
+      // e.g. "lodash@^4.17.0", lodash@^4.17.21:  or  "@babel/core@npm:^7.0.0":
+      names = line
+        .slice(0, -1)
+        .split(",")
+        .map((spec) => spec.trim().replace(/^"|"$/g, ""))
+        .map((spec) => {
+          const at = spec.indexOf("@", 1);
+          return at > 0 ? spec.slice(0, at) : null;
+        })
+        .filter(Boolean);
+      return;
+    }
+    const version = /^\s+version:?\s+"?([^"\s]+)"?/.exec(line);
+    if (version && names) {
+      [...new Set(names)].forEach((name) =>
+        deps.push({ name, version: version[1], dev: false })
+      );
+      names = null;
+    }
+  });
+  return deps;
+}
+
+/** requirements.txt; only exact `==` pins can be matched. */
+function parseRequirements(content) {
+  const deps = [];
+  content.split("\n").forEach((line) => {
+    const match =
+      /^\s*([A-Za-z0-9][A-Za-z0-9._-]*)(\[[^\]]*\])?\s*===?\s*([^\s;#,]+)/.exec(
+        line
+      );
+    if (match) deps.push({ name: match[1], version: match[3], dev: false });
+  });
+  return deps;
+}
+
+/**
+ * go.sum; the /go.mod-only lines are skipped. go.sum keeps every version
+ * the module graph ever checked, including ones minimal version selection
+ * replaced, so only the highest version of each module is kept.
+ */
+function parseGoSum(content) {
+  const versions = new Map();
+  content.split("\n").forEach((line) => {
+    const [name, version] = line.trim().split(/\s+/);
+    if (!name || !version || version.endsWith("/go.mod")) return;
+    const seen = versions.get(name);
+    if (!seen || compareVersions(version, seen) > 0) {
+      versions.set(name, version);
+    }
+  });
+  return [...versions].map(([name, version]) => ({
+    name,
+    version,
+    dev: false,
+  }));
+}
+
+/** Cargo.lock [[package]] entries. */
+function parseCargoLock(content) {
+  const deps = [];
+  content.split(/^\[\[package\]\]\s*$/m).forEach((block) => {
+    const name = /^name\s*=\s*"([^"]+)"/m.exec(block);
+    const version = /^version\s*=\s*"([^"]+)"/m.exec(block);
+    if (name && version) {
+      deps.push({ name: name[1], version: version[1], dev: false });
+    }
+  });
+  return deps;
+}
+
+/**
+ * Resolve the pinned dependencies in one manifest or lockfile.
+ * Duplicates (same package and version) are listed once.
+ *
+ * @param {string} path  file path; the file name selects the parser
+ * @param {string} content
+ * @returns {Array<{ ecosystem: string, name: string, version: string, dev: boolean }>}
+ * @throws {Error} If the file cannot be parsed
+ */
+function parseManifest(path, content) {
+  const manifest = MANIFESTS[path.split("/").pop()];
+  if (!manifest) return [];
+  const seen = new Set();
+  return manifest
+    .parse(content)
+    .map((dep) => ({ ecosystem: manifest.ecosystem, ...dep }))
+    .filter((dep) => {
+      const key = `${dep.name}@${dep.version}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+module.exports = { findManifests, parseManifest };
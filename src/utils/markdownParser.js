@@ -0,0 +1,235 @@
+// Key README sections and the heading text that identifies them
+const SECTIONS = {
+  installation: /\b(install(ation|ing)?|getting started|setup|set up)\b/i,
+  usage: /\b(usage|examples?|quick ?start|how to use|tutorial)\b/i,
+  contributing: /\bcontribut(e|ing|ors?|ion)\b/i,
+  license: /\b(licen[cs]e|licensing)\b/i,
+  changelog: /\b(change ?log|changes|release notes|history|what'?s new)\b/i,
+};
+
+// Image hosts and paths that serve badges
+const BADGE_URL =
+  /(shields\.io|badgen\.net|badge\.fury\.io|badges?\b|\/badge\.svg|travis-ci\.(org|com)\/.+\.svg|circleci\.com\/.+\.svg|ci\.appveyor\.com\/api\/projects\/status|codecov\.io\/.+\/graph|coveralls\.io\/repos\/.+\.svg|snyk\.io\/test\/.+\/badge|pepy\.tech\/badge)/i;
+
+// Badge types, checked in order against the URL and alt text
+const BADGE_TYPES = {
+  coverage: /coverage|codecov|coveralls|codeclimate\/coverage/i,
+  ci: /build|\bci\b|workflow|actions|travis|circleci|appveyor|pipeline|status|tests?\b/i,
+  downloads: /downloads?|\/d[mwt]\/|pepy/i,
+  license: /licen[cs]e/i,
+  version:
+    /version|release|\/v\/|\/tag\/|npm\/v|pypi\/v|gem\/v|crates\/v|badge\.fury|maven-central/i,
+};
+
+/** Drop fenced code blocks so their contents are not parsed as markdown. */
+function stripCode(md) {
+  return md.replace(/^(```|~~~)[^\n]*\n[\s\S]*?(^\1[^\n]*$|(?![\s\S]))/gm, "");
+}
+
+/**
+ * ATX (`## Title`) and setext (underlined) headings, outside code blocks.
+ *
+ * @param {string} md
+ * @returns {Array<{ level: number, text: string }>}
+ */
+function parseHeadings(md) {
+  const headings = [];
+  const lines = stripCode(md).split("\n");
+  lines.forEach((line, i) => {
+    const atx = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+    if (atx) {
+      headings.push({ level: atx[1].length, text: atx[2] });
+      return;
+    }
+    const next = lines[i + 1];
+    if (line.trim() && next && /^ {0,3}(=+|-+)\s*$/.test(next)) {
+      headings.push({
+        level: next.trim()[0] === "=" ? 1 : 2,
+        text: line.trim(),
+      });
+    }
+  });
+  return headings;
+}
+
+/**
+ * Which key sections (installation, usage, contributing, license,
+ * changelog) have a heading.
+ *
+ * @param {Array<{ text: string }>} headings
+ * @returns {object} section → boolean
+ */
+function detectSections(headings) {
+  const found = {};
+  Object.entries(SECTIONS).forEach(([name, re]) => {
+    found[name] = headings.some((h) => re.test(h.text));
+  });
+  return found;
+}
+
+/**
+ * Every image in the README: inline `![alt](url)`, reference-style
+ * `![alt][ref]` and HTML `<img src="...">`.
+ *
+ * @param {string} md
+ * @returns {Array<{ alt: string, url: string }>}
+ */
+function parseImages(md) {
+  const text = stripCode(md);
+  const images = [];
+  const refs = {};
+  let m;
+
+  const refDef = /^ {0,3}\[([^\]]+)\]:\s*<?(\S+?)>?(\s+["'(].*)?$/gm;
+  while ((m = refDef.exec(text)) !== null) refs[m[1].toLowerCase()] = m[2];
+
+  const inline = /!\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+["'][^)]*)?\)/g;
+  while ((m = inline.exec(text)) !== null) {
+    images.push({ alt: m[1], url: m[2] });
+  }
+
+  const reference = /!\[([^\]]*)\]\[([^\]]*)\]/g;
+  while ((m = reference.exec(text)) !== null) {
+    const url = refs[(m[2] || m[1]).toLowerCase()];
+    if (url) images.push({ alt: m[1], url });
+  }
+
+  const html = /<img\b[^>]*>/gi;
+  while ((m = html.exec(text)) !== null) {
+    const src = /\bsrc\s*=\s*["']([^"']+)["']/i.exec(m[0]);
+    const alt = /\balt\s*=\s*["']([^"']*)["']/i.exec(m[0]);
+    if (src) images.push({ alt: alt ? alt[1] : "", url: src[1] });
+  }
+  return images;
+}
+
+/**
+ * Badges among the README images, each classified as ci, coverage, version,
+ * license, downloads or other.
+ *
+ * @param {Array<{ alt: string, url: string }>} images
+ * @returns {Array<{ alt: string, url: string, type: string }>}
+ */
+function classifyBadges(images) {
+  return images
+    .filter((img) => BADGE_URL.test(img.url))
+    .map((img) => {
+      const type = Object.keys(BADGE_TYPES).find((t) =>
+        BADGE_TYPES[t].test(`${img.url} ${img.alt}`)
+      );
+      return { ...img, type: type || "other" };
+    });
+}
+
+/**
+ * Number of fenced code blocks.
+ *
+ * @param {string} md
+ * @returns {number}
+ */
+function countCodeExamples(md) {
+  const fences = md.match(/^ {0,3}(```|~~~)/gm) || [];
+  return Math.floor(fences.length / 2);
+}
+
+/**
+ * Relative links (and images) whose target is not in the repository.
+ * Targets are resolved from the repository root, where the README lives.
+ *
+ * @param {string} md
+ * @param {string[]} paths  every file path in the tree
+ * @returns {string[]} The broken link targets
+ */
+function findBrokenLinks(md, paths) {
+  const files = new Set(paths);
+  const dirs = new Set();
+  paths.forEach((p) => {
+    const parts = p.split("/");
+    for (let i = 1; i < parts.length; i++) {
+      dirs.add(parts.slice(0, i).join("/"));
+    }
+  });
+
+  const text = stripCode(md);
+  const targets = [];
+  let m;
+  const link = /\]\(\s*<?([^)\s>]+)>?(?:\s+["'][^)]*)?\)/g;
+  while ((m = link.exec(text)) !== null) targets.push(m[1]);
+  const refDef = /^ {0,3}\[[^\]]+\]:\s*<?(\S+?)>?(\s+["'(].*)?$/gm;
+  while ((m = refDef.exec(text)) !== null) targets.push(m[1]);
+  const href = /<(?:a|img)\b[^>]*\b(?:href|src)\s*=\s*["']([^"']+)["']/gi;
+  while ((m = href.exec(text)) !== null) targets.push(m[1]);
+
+  const broken = targets.filter((target) => {
+    // Absolute URLs, other schemes and in-page anchors are not checked
+    if (/^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(target)) return false;
+    let path = target.split(/[#?]/)[0];
+    try {
+      path = decodeURIComponent(path);
+    } catch (err) {
+      // Keep the raw path if it is not valid percent-encoding
+    }
+    path = path.replace(/^(\.\/|\/)+/, "").replace(/\/+$/, "");
+    if (!path) return false;
+    return !files.has(path) && !dirs.has(path);
+  });
+  return [...new Set(broken)];
+}
+
+/**
+ * Analyse a README: headings, key sections, badges by type, code examples
+ * and (when the file list is given) broken relative links.
+ *
+ * @param {string} md
+ * @param {{ paths?: string[] }} [options]  tree paths for link checking
+ * @returns {{ headings: number, sections: object, badges: Array, badgeTypes: object, codeExamples: number, brokenLinks: string[]|null }}
+ *   brokenLinks is null when no file list was given
+ */
+function analyseReadme(md, { paths } = {}) {
+  const text = typeof md === "string" ? md : "";
+  const headings = parseHeadings(text);
+  const badges = classifyBadges(parseImages(text));
+  const badgeTypes = {};
+  badges.forEach((b) => {
+    badgeTypes[b.type] = (badgeTypes[b.type] || 0) + 1;
+  });
+  return {
+    headings: headings.length,
+    sections: detectSections(headings),
+    badges,
+    badgeTypes,
+    codeExamples: countCodeExamples(text),
+    brokenLinks: paths ? findBrokenLinks(text, paths) : null,
+  };
+}
+
+/**
+ * Grade a README analysis 0-10:
+ *   5  one per key section present
+ *   2  code examples (1 for one or two, 2 for three or more)
+ *   2  0.5 per distinct ci/coverage/version/license/downloads badge type
+ *   1  no broken relative links (not awarded when links were not checked)
+ *
+ * @param {object} analysis  from analyseReadme
+ * @returns {number}
+ */
+function scoreReadme(analysis) {
+  let score = Object.values(analysis.sections).filter(Boolean).length;
+  if (analysis.codeExamples >= 3) score += 2;
+  else if (analysis.codeExamples >= 1) score += 1;
+  const types = Object.keys(analysis.badgeTypes).filter((t) => t !== "other");
+  score += Math.min(types.length * 0.5, 2);
+  if (analysis.brokenLinks && analysis.brokenLinks.length === 0) score += 1;
+  return score;
+}
+
+module.exports = {
+  parseHeadings,
+  detectSections,
+  parseImages,
+  classifyBadges,
+  countCodeExamples,
+  findBrokenLinks,
+  analyseReadme,
+  scoreReadme,
+};
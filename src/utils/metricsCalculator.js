@@ -1,3 +1,13 @@
+const {
+  DAY_MS,
+  toTime,
+  hoursBetween,
+  daysBetween,
+  minutesBetween,
+} = require("./dateUtils");
+const { linearSlope } = require("./trendCalculator");
+const { isBot } = require("./botFilter");
+
 /**
  * Compute the average number of commits per week.
  *
@@ -20,69 +30,332 @@ function computeWeeklyAverage(commitData) {
   return totalCommits / commitData.length;
 }
 
+// 13 weeks; the recent quarter is compared with the one before it
+const QUARTER_WEEKS = 13;
+// Trend needs both the quarter ratio and the slope to agree on a move of
+// at least this much (relative to the mean) before it is not "stable"
+const TREND_THRESHOLD = 0.25;
+
+/**
+ * Summarise the shape of the weekly commit series, not just its mean.
+ *
+ * The slope is fitted over weekly totals (commits per week, per week) and
+ * also given relative to the mean, as the change it implies over the whole
+ * series. The trend is "growing" or "declining" when the quarter ratio and
+ * the relative slope both move by TREND_THRESHOLD or more in the same
+ * direction, and "stable" otherwise; null when there were no commits.
+ *
+ * @param {Array<{ week: number, total: number, days: number[] }>} commitData  oldest first
+ * @returns {{ weeks: number, slopePerWeek: number|null, relativeSlope: number|null, recentQuarter: number, priorQuarter: number, quarterRatio: number|null, longestGapWeeks: number, currentGapWeeks: number, activeWeekShare: number|null, trend: string|null }}
+ *   quarterRatio is null when the prior quarter had no commits;
+ *   activeWeekShare is a percentage
+ */
+function summariseCommitTrend(commitData) {
+  const totals = (Array.isArray(commitData) ? commitData : []).map(
+    (w) => w.total || 0
+  );
+  const sum = (values) => values.reduce((acc, v) => acc + v, 0);
+  const mean = totals.length ? sum(totals) / totals.length : 0;
+
+  const slopePerWeek = linearSlope(totals.map((y, x) => ({ x, y })));
+  const relativeSlope =
+    slopePerWeek !== null && mean > 0
+      ? (slopePerWeek * totals.length) / mean
+      : null;
+
+  const recentQuarter = sum(totals.slice(-QUARTER_WEEKS));
+  const priorQuarter = sum(totals.slice(-2 * QUARTER_WEEKS, -QUARTER_WEEKS));
+  const quarterRatio = priorQuarter ? recentQuarter / priorQuarter : null;
+
+  let longestGapWeeks = 0;
+  let currentGapWeeks = 0;
+  totals.forEach((total) => {
+    currentGapWeeks = total ? 0 : currentGapWeeks + 1;
+    longestGapWeeks = Math.max(longestGapWeeks, currentGapWeeks);
+  });
+
+  let trend = null;
+  if (mean > 0) {
+    // Activity after a quiet prior quarter counts as growth, two quiet
+    // quarters after earlier activity as decline
+    let ratio = quarterRatio;
+    if (ratio === null) ratio = recentQuarter ? Infinity : 0;
+    if (ratio >= 1 + TREND_THRESHOLD && relativeSlope >= TREND_THRESHOLD) {
+      trend = "growing";
+    } else if (
+      ratio <= 1 - TREND_THRESHOLD &&
+      relativeSlope <= -TREND_THRESHOLD
+    ) {
+      trend = "declining";
+    } else {
+      trend = "stable";
+    }
+  }
+
+  return {
+    weeks: totals.length,
+    slopePerWeek,
+    relativeSlope,
+    recentQuarter,
+    priorQuarter,
+    quarterRatio,
+    longestGapWeeks,
+    currentGapWeeks,
+    activeWeekShare: totals.length
+      ? (totals.filter(Boolean).length / totals.length) * 100
+      : null,
+    trend,
+  };
+}
+
+/**
+ * Grade commit sustainability 0-10:
+ *   5  share of weeks with at least one commit
+ *   3  trend is stable or growing (0 when declining)
+ *   2  longest inactivity gap of 4 weeks or less (1 up to 13 weeks)
+ * A current gap of a quarter or more zeroes the grade.
+ *
+ * @param {object} summary  from summariseCommitTrend
+ * @returns {number|null} null when there is no weekly series
+ */
+function scoreCommitTrend(summary) {
+  if (!summary.weeks) return null;
+  if (summary.trend === null || summary.currentGapWeeks >= QUARTER_WEEKS) {
+    return 0;
+  }
+  let score = (summary.activeWeekShare / 100) * 5;
+  if (summary.trend !== "declining") score += 3;
+  if (summary.longestGapWeeks <= 4) score += 2;
+  else if (summary.longestGapWeeks <= QUARTER_WEEKS) score += 1;
+  return score;
+}
+
 /**
  * Compute median resolution time (in hours) for issues.
  * Excludes issues that are still open (closed_at null).
  *
  * @param {Array<{ created_at: string, closed_at: string }>} issues
- * @returns {number} Median hours to close, or 0 if none closed.
+ * @returns {number|null} Median hours to close, or null if none closed.
  */
 function medianResolutionTime(issues) {
   // Filter only closed issues
-  const durations = issues
-    .filter((i) => i.closed_at)
-    .map((i) => {
-      const created = new Date(i.created_at);
-      const closed = new Date(i.closed_at);
-      // hours difference
-      return (closed - created) / (1000 * 60 * 60);
-    })
-    .sort((a, b) => a - b);
-
-  if (durations.length === 0) return 0;
-  const mid = Math.floor(durations.length / 2);
-  return durations.length % 2 === 0
-    ? (durations[mid - 1] + durations[mid]) / 2
-    : durations[mid];
+  return median(
+    issues
+      .filter((i) => i.closed_at)
+      .map((i) => hoursBetween(i.created_at, i.closed_at))
+  );
 }
 
 /**
- * Compute median PR review duration (in hours).
+ * Compute median PR duration (in hours) from creation to merge or close.
  * Uses merged_at if available, otherwise closed_at.
  *
  * @param {Array<{ created_at: string, merged_at: string|null, closed_at: string|null }>} prs
- * @returns {number} Median hours, or 0 if none closed/merged.
+ * @returns {number|null} Median hours, or null if none closed/merged.
  */
 function medianPRDuration(prs) {
   const durations = prs
     .map((pr) => {
-      const start = new Date(pr.created_at);
       const endDate = pr.merged_at || pr.closed_at;
       if (!endDate) return null;
-      const end = new Date(endDate);
-      return (end - start) / (1000 * 60 * 60);
+      return hoursBetween(pr.created_at, endDate);
     })
-    .filter((d) => d !== null)
-    .sort((a, b) => a - b);
+    .filter((d) => d !== null);
+  return median(durations);
+}
 
-  if (durations.length === 0) return 0;
-  const mid = Math.floor(durations.length / 2);
-  return durations.length % 2 === 0
-    ? (durations[mid - 1] + durations[mid]) / 2
-    : durations[mid];
+/**
+ * Median hours from opening to merging, over merged PRs only. Unlike
+ * medianPRDuration, abandoned PRs (closed without merging) do not count.
+ *
+ * @param {Array<{ created_at: string, merged_at: string|null }>} prs
+ * @returns {number|null} Median hours, or null if none was merged
+ */
+function medianTimeToMerge(prs) {
+  return median(
+    prs
+      .filter((pr) => pr.merged_at)
+      .map((pr) => hoursBetween(pr.created_at, pr.merged_at))
+  );
 }
 
 /**
- * Compute churn: % of contributors active 12-24 months ago who did NOT contribute in last 12 months.
- * Currently a stub returning null (requires commit history per contributor).
+ * Median of a list of numbers (unsorted input is fine).
  *
- * @param {Array<{ login: string, contributions: number }>} contributors
- * @param {Array<{ week: number, total: number }>} commitData
- * @returns {null}
+ * @param {number[]} values
+ * @returns {number|null} null for an empty list
  */
-function computeChurn(contributors, commitData) {
-  // TODO: implement time-based contributor churn logic
-  return null;
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[mid - 1] + sorted[mid]) / 2
+    : sorted[mid];
+}
+
+/**
+ * Share of closed PRs that were merged (the rest were abandoned/rejected).
+ *
+ * @param {Array<{ merged_at: string|null }>} prs
+ * @returns {number|null} Percentage 0–100, or null if there are no PRs
+ */
+function computePRMergeRate(prs) {
+  if (!Array.isArray(prs) || prs.length === 0) return null;
+  const merged = prs.filter((pr) => pr.merged_at).length;
+  return (merged / prs.length) * 100;
+}
+
+/**
+ * Reviews and comments on a PR by anyone other than its author. Bots
+ * (coverage reports, CI, dependency updaters) do not count as a response.
+ */
+function othersActivity(pr) {
+  const human = (e) =>
+    e.user !== pr.author && !isBot({ login: e.user, type: e.userType });
+  const reviews = (pr.reviews || []).filter(
+    (r) => human(r) && r.state !== "PENDING"
+  );
+  const comments = (pr.comments || []).filter(human);
+  return { reviews, comments };
+}
+
+/**
+ * Median hours from PR creation to the first review or comment by someone
+ * other than the author.
+ *
+ * PRs that never got a response count with their wait: until they were
+ * closed, or until now if still open. As for issues (see
+ * medianMaintainerResponse), skipping them would reward ignoring PRs.
+ *
+ * @param {Array<{ author: string, created_at: string, closed_at: string|null, reviews: Array, comments: Array }>} prs
+ *   as returned by getPRReviewDetails
+ * @param {number} [now]
+ * @returns {number|null} Median hours, or null if there are no PRs
+ */
+function medianTimeToFirstResponse(prs, now = Date.now()) {
+  const hours = prs.map((pr) => {
+    const { reviews, comments } = othersActivity(pr);
+    const times = [
+      ...reviews.map((r) => toTime(r.submitted_at)),
+      ...comments.map((c) => toTime(c.created_at)),
+    ].filter((t) => !Number.isNaN(t));
+    const end = times.length ? Math.min(...times) : pr.closed_at || now;
+    return hoursBetween(pr.created_at, end);
+  });
+  return median(hours);
+}
+
+/**
+ * Share of PRs that were closed (merged or not) without any review.
+ *
+ * @param {Array<{ author: string, reviews: Array }>} prs
+ * @returns {number|null} Percentage 0–100, or null if there are no PRs
+ */
+function computeUnreviewedRate(prs) {
+  if (prs.length === 0) return null;
+  const unreviewed = prs.filter(
+    (pr) => othersActivity(pr).reviews.length === 0
+  ).length;
+  return (unreviewed / prs.length) * 100;
+}
+
+/**
+ * Median number of review rounds on reviewed PRs. Every "changes requested"
+ * review starts another round, so a PR approved straight away has 1 round.
+ *
+ * @param {Array<{ author: string, reviews: Array }>} prs
+ * @returns {number|null} Median rounds, or null if no PR was reviewed
+ */
+function medianReviewRounds(prs) {
+  const rounds = prs
+    .map((pr) => othersActivity(pr).reviews)
+    .filter((reviews) => reviews.length > 0)
+    .map(
+      (reviews) =>
+        1 + reviews.filter((r) => r.state === "CHANGES_REQUESTED").length
+    );
+  return median(rounds);
+}
+
+/**
+ * First comment by a maintainer (owner, member or collaborator) other than
+ * the issue author, or undefined if there is none yet.
+ */
+function firstMaintainerReply(issue) {
+  return issue.comments.find((c) => c.maintainer && c.user !== issue.author);
+}
+
+/**
+ * Median hours from issue creation to the first maintainer comment.
+ *
+ * Issues with no maintainer response count with their wait so far: until
+ * they were closed, or until now if still open. Skipping them would make a
+ * project that answers one issue in twenty look very responsive.
+ *
+ * @param {Array<{ author: string, created_at: string, closed_at: string|null, comments: Array<{ user: string, maintainer: boolean, created_at: string }> }>} issues
+ *   the `sample` from getIssueActivity
+ * @param {number} [now]
+ * @returns {number|null} Median hours, or null if there are no issues
+ */
+function medianMaintainerResponse(issues, now = Date.now()) {
+  const hours = issues.map((issue) => {
+    const first = firstMaintainerReply(issue);
+    const end = first ? first.created_at : issue.closed_at || now;
+    return hoursBetween(issue.created_at, end);
+  });
+  return median(hours);
+}
+
+/**
+ * Share of issues with no maintainer response.
+ *
+ * @param {Array<object>} issues  as for medianMaintainerResponse
+ * @returns {number|null} Percentage 0–100, or null if there are no issues
+ */
+function computeUnansweredShare(issues) {
+  if (issues.length === 0) return null;
+  const unanswered = issues.filter((i) => !firstMaintainerReply(i)).length;
+  return (unanswered / issues.length) * 100;
+}
+
+/**
+ * Net backlog growth over the window, relative to issues opened:
+ * (opened − closed) / opened × 100. Negative means the backlog shrank.
+ *
+ * @param {number} opened
+ * @param {number} closed
+ * @returns {number|null} Percentage, or null if nothing was opened
+ */
+function computeBacklogGrowth(opened, closed) {
+  if (!opened) return null;
+  return ((opened - closed) / opened) * 100;
+}
+
+/**
+ * Share of open issues that are stale (no activity for N days).
+ *
+ * @param {number} stale
+ * @param {number} open
+ * @returns {number} Percentage 0–100 (0 when nothing is open)
+ */
+function computeStaleRatio(stale, open) {
+  if (!open) return 0;
+  return (stale / open) * 100;
+}
+
+/**
+ * Share of closures in the window that were "not planned" rather than
+ * "completed".
+ *
+ * @param {number} notPlanned
+ * @param {number} completed
+ * @returns {number|null} Percentage 0–100, or null if nothing was closed
+ */
+function computeNotPlannedShare(notPlanned, completed) {
+  const total = notPlanned + completed;
+  if (!total) return null;
+  return (notPlanned / total) * 100;
 }
 
 /**
@@ -108,6 +381,196 @@ function estimateBusFactor(contributors) {
   return sorted.length;
 }
 
+/**
+ * Degree of authorship (Fritz et al.) of one developer over one file:
+ *   DOA = 3.293 + 1.098·FA + 0.164·DL − 0.321·ln(1 + AC)
+ * FA is 1 if they created the file, DL their commits to it and AC the
+ * commits by everyone else.
+ */
+function degreeOfAuthorship(isCreator, own, others) {
+  return (
+    3.293 +
+    1.098 * (isCreator ? 1 : 0) +
+    0.164 * own -
+    0.321 * Math.log(1 + others)
+  );
+}
+
+/**
+ * Authors of each file: developers whose DOA is at least 3.293 and more
+ * than 75% of the file's highest DOA (the thresholds of Avelino et al. 2016).
+ *
+ * @param {object} files  path → { creator: string|null, commits: { [author]: number } }
+ * @returns {object} path → author names
+ */
+function computeFileAuthors(files) {
+  const authors = {};
+  Object.entries(files).forEach(([path, file]) => {
+    const total = Object.values(file.commits).reduce((sum, n) => sum + n, 0);
+    const doa = Object.entries(file.commits).map(([author, n]) => [
+      author,
+      degreeOfAuthorship(file.creator === author, n, total - n),
+    ]);
+    const max = Math.max(...doa.map(([, d]) => d));
+    authors[path] = doa
+      .filter(([, d]) => d >= 3.293 && d / max > 0.75)
+      .map(([author]) => author);
+  });
+  return authors;
+}
+
+/**
+ * Truck factor: how many developers must leave before more than half of the
+ * authored files have no remaining author. Authors are removed greedily, the
+ * one authoring the most files first.
+ *
+ * @param {object} fileAuthors  from computeFileAuthors
+ * @returns {{ truckFactor: number|null, keyDevelopers: string[], criticalFiles: string[] }}
+ *   truckFactor is null when no file has an author; criticalFiles are the
+ *   files with a single author
+ */
+function computeTruckFactor(fileAuthors) {
+  const authored = Object.entries(fileAuthors).filter(([, a]) => a.length);
+  const criticalFiles = authored
+    .filter(([, a]) => a.length === 1)
+    .map(([path]) => path);
+  if (!authored.length) {
+    return { truckFactor: null, keyDevelopers: [], criticalFiles };
+  }
+
+  const remaining = authored.map(([, a]) => new Set(a));
+  const keyDevelopers = [];
+  const covered = () => remaining.filter((a) => a.size).length;
+  while (covered() >= authored.length / 2) {
+    const counts = new Map();
+    remaining.forEach((a) =>
+      a.forEach((name) => counts.set(name, (counts.get(name) || 0) + 1))
+    );
+    const [top] = [...counts.entries()].sort((x, y) => y[1] - x[1])[0];
+    keyDevelopers.push(top);
+    remaining.forEach((a) => a.delete(top));
+  }
+  return { truckFactor: keyDevelopers.length, keyDevelopers, criticalFiles };
+}
+
+// Workflow-run conclusions that count as a pass or a failure; cancelled,
+// skipped and neutral runs are ignored
+const RUN_PASSED = ["success"];
+const RUN_FAILED = ["failure", "timed_out", "startup_failure"];
+
+/**
+ * Summarise GitHub Actions runs on the default branch.
+ *
+ * @param {Array<{ conclusion: string|null, run_started_at: string, updated_at: string }>} runs
+ * @param {string|null} lastGreenAt  finish time of the latest successful run
+ * @param {number} [now]
+ * @returns {{ runs: number, successRate: number|null, medianDurationMins: number|null, hoursSinceGreen: number|null }}
+ *   successRate is a percentage over passed + failed runs
+ */
+function summariseWorkflowRuns(runs, lastGreenAt, now = Date.now()) {
+  const passed = runs.filter((r) => RUN_PASSED.includes(r.conclusion));
+  const failed = runs.filter((r) => RUN_FAILED.includes(r.conclusion));
+  const decided = passed.length + failed.length;
+  const durations = [...passed, ...failed]
+    .map((r) => minutesBetween(r.run_started_at, r.updated_at))
+    .filter((mins) => mins >= 0);
+  return {
+    runs: runs.length,
+    successRate: decided ? (passed.length / decided) * 100 : null,
+    medianDurationMins: median(durations),
+    hoursSinceGreen: lastGreenAt ? hoursBetween(lastGreenAt, now) : null,
+  };
+}
+
+/**
+ * Grade CI health 0-10.
+ *
+ * Without CI configuration the grade is 0. With configuration but no GitHub
+ * Actions history (other providers, or no runs in the window) it is 5. With
+ * Actions history:
+ *   2  CI is configured
+ *   4  success rate, 50% → 0 up to 100% → 4
+ *   2  last green run within 7 days (1 within 30 days)
+ *   2  median run under 10 minutes (1 under 30)
+ *
+ * @param {{ configs: Array, actions: object|null }} ci
+ * @returns {number}
+ */
+function scoreCiHealth(ci) {
+  if (!ci.configs.length) return 0;
+  const actions = ci.actions;
+  if (!actions || actions.successRate === null) return 5;
+  let score = 2;
+  score += Math.max(0, (actions.successRate - 50) / 50) * 4;
+  const green = actions.hoursSinceGreen;
+  if (green !== null && green <= 7 * 24) score += 2;
+  else if (green !== null && green <= 30 * 24) score += 1;
+  const mins = actions.medianDurationMins;
+  if (mins !== null && mins < 10) score += 2;
+  else if (mins !== null && mins < 30) score += 1;
+  return score;
+}
+
+// v1.2.3, 1.2.3-rc.1, 1.2.3+build
+const SEMVER =
+  /^v?(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(-[0-9A-Za-z.-]+)?(\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Summarise release history.
+ *
+ * @param {Array<{ tag: string, publishedAt: string, prerelease: boolean, hasNotes: boolean|null }>} releases
+ *   newest first; hasNotes is null when unknown (plain tags)
+ * @param {number} [now]
+ * @returns {{ count: number, lastYear: number, medianIntervalDays: number|null, daysSinceLast: number|null, semverShare: number|null, prereleaseShare: number|null, notesShare: number|null }}
+ *   shares are percentages
+ */
+function summariseReleases(releases, now = Date.now()) {
+  const times = releases
+    .map((r) => toTime(r.publishedAt))
+    .filter((t) => !Number.isNaN(t))
+    .sort((a, b) => b - a);
+  const intervals = times.slice(1).map((t, i) => daysBetween(t, times[i]));
+  const share = (items, test) =>
+    items.length ? (items.filter(test).length / items.length) * 100 : null;
+  const withNotes = releases.filter((r) => r.hasNotes !== null);
+
+  return {
+    count: releases.length,
+    lastYear: times.filter((t) => daysBetween(t, now) <= 365).length,
+    medianIntervalDays: median(intervals),
+    daysSinceLast: times.length ? daysBetween(times[0], now) : null,
+    semverShare: share(releases, (r) => SEMVER.test(r.tag)),
+    prereleaseShare: share(releases, (r) => r.prerelease),
+    notesShare: share(withNotes, (r) => r.hasNotes),
+  };
+}
+
+/**
+ * Grade release cadence 0-10:
+ *   3  releases in the last year, full marks at 4 or more
+ *   3  last release within 90 days (2 within 180, 1 within 365)
+ *   2  share of semver tags
+ *   1  share of releases with notes
+ *   1  mostly stable releases (under half are pre-releases)
+ * A last release over a year old halves the grade and over two years old
+ * zeroes it, so abandoned projects stand out. No releases at all scores 0.
+ *
+ * @param {object} summary  from summariseReleases
+ * @returns {number}
+ */
+function scoreReleaseCadence(summary) {
+  const age = summary.daysSinceLast;
+  if (age === null || age > 730) return 0;
+  let score = Math.min(summary.lastYear / 4, 1) * 3;
+  if (age <= 90) score += 3;
+  else if (age <= 180) score += 2;
+  else if (age <= 365) score += 1;
+  score += ((summary.semverShare || 0) / 100) * 2;
+  score += (summary.notesShare || 0) / 100;
+  if (summary.prereleaseShare < 50) score += 1;
+  return age > 365 ? score / 2 : score;
+}
+
 /**
  * Checks if a root‐level `test` or `tests` directory exists.
  *
@@ -120,27 +583,6 @@ function existsTestFolder(rootContent) {
   );
 }
 
-/**
- * Counts the number of Markdown image links (badges) in the README.
- * Filters to URLs that include the word "badge" to avoid counting all images.
- *
- * @param {string} readmeMd  The raw Markdown content of the README.
- * @returns {number} Number of badge images found.
- */
-function countBadges(readmeMd) {
-  if (typeof readmeMd !== "string") return 0;
-  const regex = /!\[.*?\]\((.*?)\)/g;
-  let match;
-  let count = 0;
-  while ((match = regex.exec(readmeMd)) !== null) {
-    const url = match[1];
-    if (/badge/i.test(url)) {
-      count++;
-    }
-  }
-  return count;
-}
-
 /**
  * Count the number of open Dependabot alerts.
  *
@@ -152,6 +594,89 @@ function countVulnerabilities(alerts) {
   return alerts.filter((a) => a.state === "open").length;
 }
 
+// Weight of one open alert by severity; development-only dependencies count
+// a quarter as much as runtime ones
+const SEVERITY_WEIGHTS = { critical: 10, high: 5, medium: 2, low: 0.5 };
+const DEV_SCOPE_FACTOR = 0.25;
+
+/**
+ * Summarise Dependabot alerts by severity and remediation speed.
+ *
+ * @param {Array<{ state: string, severity: string|null, scope: string|null, createdAt: string, fixedAt: string|null, dismissedReason: string|null }>} alerts
+ *   as returned by getDependabotAlerts
+ * @param {number} [now]
+ * @returns {{ open: number, openBySeverity: object, weightedOpen: number, fixed: number, medianRemediationDays: number|null, oldestOpenCriticalDays: number|null, dismissed: number, dismissedReasons: object }}
+ *   weightedOpen sums SEVERITY_WEIGHTS over open alerts (unknown severity
+ *   counts as medium)
+ */
+function summariseVulnerabilities(alerts, now = Date.now()) {
+  const open = alerts.filter((a) => a.state === "open");
+  const fixed = alerts.filter((a) => a.state === "fixed" && a.fixedAt);
+  const dismissed = alerts.filter((a) => /dismissed$/.test(a.state));
+
+  const openBySeverity = {};
+  let weightedOpen = 0;
+  open.forEach((a) => {
+    const severity = SEVERITY_WEIGHTS[a.severity] ? a.severity : "medium";
+    openBySeverity[severity] = (openBySeverity[severity] || 0) + 1;
+    weightedOpen +=
+      SEVERITY_WEIGHTS[severity] *
+      (a.scope === "development" ? DEV_SCOPE_FACTOR : 1);
+  });
+
+  // Alerts from an offline scan have no creation time
+  const criticalAges = open
+    .filter((a) => a.severity === "critical" && a.createdAt)
+    .map((a) => daysBetween(a.createdAt, now));
+  const dismissedReasons = {};
+  dismissed.forEach((a) => {
+    const reason = a.dismissedReason || "auto_dismissed";
+    dismissedReasons[reason] = (dismissedReasons[reason] || 0) + 1;
+  });
+
+  return {
+    open: countVulnerabilities(alerts),
+    openBySeverity,
+    weightedOpen,
+    fixed: fixed.length,
+    medianRemediationDays: median(
+      fixed.map((a) => daysBetween(a.createdAt, a.fixedAt))
+    ),
+    oldestOpenCriticalDays: criticalAges.length
+      ? Math.max(...criticalAges)
+      : null,
+    dismissed: dismissed.length,
+    dismissedReasons,
+  };
+}
+
+/**
+ * Grade vulnerabilities 0-10:
+ *   6  severity-weighted open alerts, 0 → 6 down to 30 or more → 0
+ *   2  median time to fix: within 7 days 2, 30 days 1.5, 90 days 1
+ *      (2 when nothing was ever fixed or open, 0 when alerts sit unfixed)
+ *   2  no open critical alert (1 if the oldest is under 7 days old, 0.5
+ *      under 30, 0 if its age is unknown)
+ *
+ * @param {object} summary  from summariseVulnerabilities
+ * @returns {number}
+ */
+function scoreVulnerabilities(summary) {
+  let score = Math.max(0, 1 - summary.weightedOpen / 30) * 6;
+
+  const days = summary.medianRemediationDays;
+  if (days === null) score += summary.open ? 0 : 2;
+  else if (days <= 7) score += 2;
+  else if (days <= 30) score += 1.5;
+  else if (days <= 90) score += 1;
+
+  const critical = summary.oldestOpenCriticalDays;
+  if (critical === null) score += summary.openBySeverity.critical ? 0 : 2;
+  else if (critical < 7) score += 1;
+  else if (critical < 30) score += 0.5;
+  return score;
+}
+
 /**
  * Compute developer churn % given two sets of logins:
  *  - oldSet:   contributors active 12–24 months ago
@@ -172,14 +697,138 @@ function computeDeveloperChurn(oldSet, recentSet) {
   return (churnCount / oldSet.size) * 100;
 }
 
+/**
+ * Describe how representative a sample of issues/PRs is: its size and the
+ * span of creation dates it actually covers within the lookback window.
+ *
+ * @param {Array<{ created_at: string }>} items
+ * @param {number} windowDays  the lookback window that was requested
+ * @returns {{ sampleSize: number, windowDays: number, earliest: string|null, latest: string|null, spanDays: number }}
+ */
+function describeSample(items, windowDays) {
+  const times = items
+    .map((i) => toTime(i.created_at))
+    .filter((t) => !Number.isNaN(t))
+    .sort((a, b) => a - b);
+  if (times.length === 0) {
+    return {
+      sampleSize: 0,
+      windowDays,
+      earliest: null,
+      latest: null,
+      spanDays: 0,
+    };
+  }
+  const earliest = times[0];
+  const latest = times[times.length - 1];
+  return {
+    sampleSize: items.length,
+    windowDays,
+    earliest: new Date(earliest).toISOString(),
+    latest: new Date(latest).toISOString(),
+    spanDays: Math.round(daysBetween(earliest, latest) * 10) / 10,
+  };
+}
+
+/**
+ * First and last commit time per author.
+ *
+ * @param {Array<{ author: string, date: string }>} commits
+ * @returns {Map<string, { first: number, last: number, commits: number }>}
+ *   times in ms since the epoch
+ */
+function summariseAuthors(commits) {
+  const activity = new Map();
+  commits.forEach((c) => {
+    const t = toTime(c.date);
+    if (Number.isNaN(t)) return;
+    const a = activity.get(c.author);
+    if (!a) {
+      activity.set(c.author, { first: t, last: t, commits: 1 });
+    } else {
+      a.first = Math.min(a.first, t);
+      a.last = Math.max(a.last, t);
+      a.commits++;
+    }
+  });
+  return activity;
+}
+
+/**
+ * Newcomers in a walked history: authors whose first commit is at or after
+ * `since` (so the walk before it shows nothing from them) and at least
+ * `graceDays` old, so they have had time to return.
+ *
+ * @param {Map<string, { first: number, last: number }>} activity  from summariseAuthors
+ * @param {{ since?: number, graceDays?: number, now?: number }} [options]
+ *   since in ms since the epoch (default: any first commit)
+ * @returns {string[]} authors, most recent first commit first
+ */
+function newcomerCandidates(
+  activity,
+  { since = -Infinity, graceDays = 90, now = Date.now() } = {}
+) {
+  const cutoff = now - graceDays * DAY_MS;
+  return [...activity]
+    .filter(([, a]) => a.first >= since && a.first <= cutoff)
+    .sort(([, a], [, b]) => b.first - a.first)
+    .map(([author]) => author);
+}
+
+/**
+ * Newcomer retention: % of first-time contributors who came back.
+ *
+ * An author came back if they committed again at least `returnAfterHours`
+ * after their first commit.
+ *
+ * @param {Map<string, { first: number, last: number }>} activity  from summariseAuthors
+ * @param {string[]} newcomers  first-time contributors, see newcomerCandidates
+ * @param {{ returnAfterHours?: number }} [options]
+ * @returns {number|null} Percentage 0–100, or null if there are no newcomers
+ */
+function computeNewcomerRetention(
+  activity,
+  newcomers,
+  { returnAfterHours = 24 } = {}
+) {
+  if (!newcomers.length) return null;
+  const returned = newcomers.filter((author) => {
+    const { first, last } = activity.get(author);
+    return hoursBetween(first, last) >= returnAfterHours;
+  }).length;
+  return (returned / newcomers.length) * 100;
+}
+
 module.exports = {
   computeWeeklyAverage,
+  summariseCommitTrend,
+  scoreCommitTrend,
   medianResolutionTime,
   medianPRDuration,
-  computeChurn,
+  medianTimeToMerge,
+  computePRMergeRate,
+  medianTimeToFirstResponse,
+  computeUnreviewedRate,
+  medianReviewRounds,
+  medianMaintainerResponse,
+  computeUnansweredShare,
+  computeBacklogGrowth,
+  computeStaleRatio,
+  computeNotPlannedShare,
   estimateBusFactor,
+  computeFileAuthors,
+  computeTruckFactor,
+  summariseWorkflowRuns,
+  scoreCiHealth,
+  summariseReleases,
+  scoreReleaseCadence,
   existsTestFolder,
-  countBadges,
   countVulnerabilities,
+  summariseVulnerabilities,
+  scoreVulnerabilities,
   computeDeveloperChurn,
+  summariseAuthors,
+  newcomerCandidates,
+  computeNewcomerRetention,
+  describeSample,
 };
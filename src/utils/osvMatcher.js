@@ -0,0 +1,115 @@
+/**
+ * Split a version into comparable tokens: numbers and letter runs.
+ * A leading "v" and any "+build" suffix are ignored.
+ */
+function versionTokens(version) {
+  const core = String(version).trim().replace(/^v/i, "").split("+")[0];
+  return (core.match(/\d+|[a-z]+/gi) || []).map((t) =>
+    /^\d+$/.test(t) ? Number(t) : t.toLowerCase()
+  );
+}
+
+// Letter tokens that mark a release after the one they follow (1.0.post1)
+const POST_RELEASE = ["post", "p", "patch", "rev", "r"];
+
+/**
+ * Compare two versions. Handles semver (pre-releases sort before the
+ * release) and the common PEP 440 / Go / Cargo spellings; exotic schemes are
+ * only approximated.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} negative if a < b, 0 if equal, positive if a > b
+ */
+function compareVersions(a, b) {
+  const x = versionTokens(a);
+  const y = versionTokens(b);
+  for (let i = 0; i < Math.max(x.length, y.length); i++) {
+    const p = x[i];
+    const q = y[i];
+    if (p === q) continue;
+    // One version ran out: a trailing number or post-release is newer, a
+    // trailing letter run (rc, beta, ...) is a pre-release and older
+    if (p === undefined) {
+      return typeof q === "number" || POST_RELEASE.includes(q) ? -1 : 1;
+    }
+    if (q === undefined) {
+      return typeof p === "number" || POST_RELEASE.includes(p) ? 1 : -1;
+    }
+    if (typeof p === "number" && typeof q === "number") return p - q;
+    if (typeof p === "number") return POST_RELEASE.includes(q) ? -1 : 1;
+    if (typeof q === "number") return POST_RELEASE.includes(p) ? 1 : -1;
+    return p < q ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Whether a version falls in one OSV "affected" entry: listed explicitly in
+ * `versions`, or inside a SEMVER/ECOSYSTEM range (introduced ≤ v < fixed,
+ * or ≤ last_affected). GIT ranges cannot be checked against a version.
+ *
+ * @param {object} affected  OSV affected[] entry
+ * @param {string} version
+ * @returns {boolean}
+ */
+function isAffected(affected, version) {
+  const v = String(version).replace(/^v/i, "");
+  if (
+    (affected.versions || []).some((listed) => compareVersions(listed, v) === 0)
+  ) {
+    return true;
+  }
+  return (affected.ranges || [])
+    .filter((range) => range.type !== "GIT")
+    .some((range) => {
+      let inside = false;
+      (range.events || []).forEach((event) => {
+        if (event.introduced !== undefined) {
+          if (
+            event.introduced === "0" ||
+            compareVersions(v, event.introduced) >= 0
+          ) {
+            inside = true;
+          }
+        } else if (event.fixed !== undefined) {
+          if (compareVersions(v, event.fixed) >= 0) inside = false;
+        } else if (event.last_affected !== undefined) {
+          if (compareVersions(v, event.last_affected) > 0) inside = false;
+        }
+      });
+      return inside;
+    });
+}
+
+/**
+ * Normalise a package name the way an ecosystem compares them (PyPI names
+ * are case-insensitive and treat -, _ and . alike).
+ *
+ * @param {string} ecosystem
+ * @param {string} name
+ * @returns {string}
+ */
+function packageKey(ecosystem, name) {
+  const normalised =
+    ecosystem === "PyPI" ? name.toLowerCase().replace(/[-_.]+/g, "-") : name;
+  return `${ecosystem}:${normalised}`;
+}
+
+/**
+ * Severity of an OSV record as low/medium/high/critical, from the
+ * GitHub-style database_specific.severity (MODERATE → medium).
+ *
+ * @param {object} vuln  OSV record
+ * @returns {string|null}
+ */
+function osvSeverity(vuln) {
+  const raw =
+    vuln.database_specific && vuln.database_specific.severity
+      ? String(vuln.database_specific.severity).toLowerCase()
+      : null;
+  if (raw === "moderate") return "medium";
+  return ["low", "medium", "high", "critical"].includes(raw) ? raw : null;
+}
+
+module.exports = { compareVersions, isAffected, packageKey, osvSeverity };
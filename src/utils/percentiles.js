@@ -0,0 +1,89 @@
+// Percentiles stored for each calibrated metric (0, 5, ..., 100)
+const PERCENTILE_STEPS = Array.from({ length: 21 }, (_, i) => i * 5);
+
+// Contributor counts splitting repositories into size strata
+const SIZE_BUCKETS = [
+  { name: "small", below: 10 },
+  { name: "medium", below: 100 },
+  { name: "large", below: Infinity },
+];
+
+/**
+ * Values at PERCENTILE_STEPS of a sample, interpolating linearly between
+ * the closest ranks.
+ *
+ * @param {number[]} values
+ * @returns {number[]|null} null for an empty sample
+ */
+function quantiles(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return PERCENTILE_STEPS.map((p) => {
+    const rank = (p / 100) * (sorted.length - 1);
+    const lo = Math.floor(rank);
+    const hi = Math.ceil(rank);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+  });
+}
+
+/**
+ * Percentile (0-100) of a value within a distribution given by quantiles.
+ * A value equal to a run of tied quantiles gets the middle of the run, so a
+ * metric most repositories share (e.g. zero open alerts) is not pushed to
+ * either end.
+ *
+ * @param {number[]} qs  from quantiles
+ * @param {number} value
+ * @returns {number}
+ */
+function percentileRank(qs, value) {
+  const tied = PERCENTILE_STEPS.filter((_, i) => qs[i] === value);
+  if (tied.length) return (tied[0] + tied[tied.length - 1]) / 2;
+  if (value < qs[0]) return 0;
+  if (value > qs[qs.length - 1]) return 100;
+  const i = qs.findIndex((q) => q > value) - 1;
+  const share = (value - qs[i]) / (qs[i + 1] - qs[i]);
+  return (
+    PERCENTILE_STEPS[i] +
+    share * (PERCENTILE_STEPS[i + 1] - PERCENTILE_STEPS[i])
+  );
+}
+
+/**
+ * Size stratum of a repository, by contributor count.
+ *
+ * @param {number|null} contributorCount
+ * @returns {string|null}
+ */
+function sizeBucket(contributorCount) {
+  if (typeof contributorCount !== "number") return null;
+  return SIZE_BUCKETS.find((b) => contributorCount < b.below).name;
+}
+
+/**
+ * Distribution to normalise a metric against: the repository's stratum when
+ * it has at least minSamples values, otherwise the whole corpus, otherwise
+ * none (the profile curve applies).
+ *
+ * @param {object} calibration  see calibrationService.buildCalibration
+ * @param {string} metricKey
+ * @param {string|null} stratum
+ * @returns {{ n: number, quantiles: number[], stratum: string|null }|null}
+ */
+function pickDistribution(calibration, metricKey, stratum) {
+  const { minSamples } = calibration;
+  const strat = stratum && calibration.strata[stratum];
+  const own = strat && strat.metrics[metricKey];
+  if (own && own.n >= minSamples) return { ...own, stratum };
+  const pooled = calibration.metrics[metricKey];
+  if (pooled && pooled.n >= minSamples) return { ...pooled, stratum: null };
+  return null;
+}
+
+module.exports = {
+  PERCENTILE_STEPS,
+  quantiles,
+  percentileRank,
+  sizeBucket,
+  pickDistribution,
+};
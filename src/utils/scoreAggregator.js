@@ -1,61 +1,252 @@
+const { getProfile } = require("../services/profileService");
+const { percentileRank, pickDistribution } = require("./percentiles");
+
 /**
- * Normalise a raw metric to 0-10.
- * Each metric has its own linear rule.
- */
-function normalise(metricKey, raw) {
-  switch (metricKey) {
-    case "commitFreq": // commits / week
-      return Math.min(10, (raw / 30) * 10);
-    case "issueResTime": // hours
-      return Math.max(0, 10 - (raw - 24) * (10 / 144)); // 24h→10, 168h→0
-    case "prReviewDuration": // hours
-      return Math.max(0, 10 - (raw - 6) * (10 / 66)); // 6h→10, 72h→0
-    case "contributorCount":
-      return Math.min(10, (raw / 200) * 10);
-    case "busFactor":
-      return Math.min(10, (raw / 10) * 10);
-    case "developerChurn": // percentage
-      return Math.max(0, 10 - raw * 0.1); // 0%→10, 100%→0
-    case "testFolderExists": // boolean
-      return raw ? 10 : 0;
-    case "badgeCount":
-      return Math.min(10, (raw / 6) * 10);
-    case "vulnerabilityCount":
-      return Math.max(0, 10 - raw); // 0→10, 10+→0
-    case "ossfScore":
-      return raw; // already 0-10
+ * Evaluate a normalisation curve (see profileService) for a raw value.
+ * Booleans are treated as 0/1. Result is clamped to 0-10.
+ */
+function applyCurve(curve, raw) {
+  const x = typeof raw === "boolean" ? Number(raw) : raw;
+  let score;
+  switch (curve.type) {
+    case "linear":
+      score = ((x - curve.min) / (curve.max - curve.min)) * 10;
+      break;
+    case "log": {
+      const lo = Math.log1p(curve.min);
+      const hi = Math.log1p(curve.max);
+      score = ((Math.log1p(Math.max(0, x)) - lo) / (hi - lo)) * 10;
+      break;
+    }
+    case "step": {
+      score = curve.steps[0].score;
+      curve.steps.forEach((s) => {
+        if (x >= s.from) score = s.score;
+      });
+      break;
+    }
     default:
-      return 0;
+      score = 0;
+  }
+  return Math.min(10, Math.max(0, score));
+}
+
+/**
+ * Human-readable summary of a curve, e.g. "24h→10, 168h→0 (linear)".
+ */
+function describeCurve(curve) {
+  if (curve.type === "step") {
+    return (
+      curve.steps.map((s) => `≥${s.from}→${s.score}`).join(", ") + " (step)"
+    );
+  }
+  const unit = curve.unit || "";
+  // list the anchor that scores 10 first
+  const anchors =
+    curve.max < curve.min
+      ? `${curve.max}${unit}→10, ${curve.min}${unit}→0`
+      : `${curve.min}${unit}→0, ${curve.max}${unit}→10`;
+  return `${anchors} (${curve.type})`;
+}
+
+/**
+ * Whether a curve gives lower raw values the higher score.
+ */
+function lowerIsBetter(curve) {
+  if (curve.type === "step") {
+    return curve.steps[curve.steps.length - 1].score < curve.steps[0].score;
   }
+  return curve.min > curve.max;
 }
 
-/** weight map (%); must sum to 100 */
-const weights = {
-  commitFreq: 10,
-  issueResTime: 12,
-  prReviewDuration: 12,
-  contributorCount: 8,
-  busFactor: 10,
-  developerChurn: 10,
-  testFolderExists: 10,
-  badgeCount: 5,
-  vulnerabilityCount: 13,
-  ossfScore: 10,
+/**
+ * Normalise a raw metric to 0-10 using the profile's curve for that metric.
+ *
+ * With a calibration, the metric is instead placed in the corpus
+ * distribution: the score is its percentile / 10, inverted when lower is
+ * better (judged from the profile curve). Metrics without enough corpus
+ * samples keep the curve.
+ *
+ * @param {string} metricKey
+ * @param {number|boolean} raw
+ * @param {object} [profile] – scoring profile, defaults to the configured one
+ * @param {{ calibration: object, stratum: string|null }} [calibrated]
+ *   see calibrationService
+ * @returns {number}
+ */
+function normalise(metricKey, raw, profile = getProfile(), calibrated = null) {
+  const curve = profile.curves[metricKey];
+  if (!curve) return 0;
+  const dist =
+    calibrated &&
+    pickDistribution(calibrated.calibration, metricKey, calibrated.stratum);
+  if (!dist) return applyCurve(curve, raw);
+  const percentile = percentileRank(dist.quantiles, Number(raw));
+  return (lowerIsBetter(curve) ? 100 - percentile : percentile) / 10;
+}
+
+/**
+ * Human-readable summary of the percentile rule used for a metric.
+ */
+function describePercentile(dist, curve) {
+  const stratum = dist.stratum ? `, ${dist.stratum}` : "";
+  const direction = lowerIsBetter(curve)
+    ? "lower is better"
+    : "higher is better";
+  return `percentile among ${dist.n} repos${stratum} (${direction})`;
+}
+
+/** How raw metrics are mapped to 0-10 */
+const NORMALISATION_METHODS = {
+  // fixed anchors from the scoring profile
+  curves: "curves",
+  // position in a reference corpus (see calibrationService)
+  percentile: "percentile",
+};
+
+/** How to treat metrics that could not be measured */
+const MISSING_DATA_MODES = {
+  // score over the available weights only, scaled back to 0-100
+  renormalise: "renormalise",
+  // missing metrics contribute 0 points (imputed as 0/10)
+  strict: "strict",
 };
 
 /**
- * Compute weighted composite (0-100).
- * @param {object} metrics – keys must include all metric fields.
+ * Compute the weighted composite together with how much of it was measured.
+ *
+ * coverage is the share (0-1) of total weight whose metric was available.
+ * In "renormalise" mode the score is rescaled over that share; in "strict"
+ * mode missing metrics simply earn no points.
+ *
+ * breakdown lists, per metric, the raw value, its 0-10 normalisation, the
+ * weight, the weighted points (out of the weight) and the contribution those
+ * points make to the final score after any renormalisation.
+ *
+ * With `calibrated`, metrics are normalised by percentile (see normalise)
+ * and the breakdown rule says which distribution was used.
+ *
+ * @param {object} metrics
+ * @param {{ mode?: string, profile?: object, calibrated?: { calibration: object, stratum: string|null } }} [options]
+ * @returns {{ score: number|null, coverage: number, mode: string, profile: string, missing: string[], breakdown: object }}
  */
-function aggregateScore(metrics) {
-  let total = 0;
+function scoreDetails(
+  metrics,
+  {
+    mode = MISSING_DATA_MODES.renormalise,
+    profile = getProfile(),
+    calibrated = null,
+  } = {}
+) {
+  const { weights } = profile;
+  if (!Object.prototype.hasOwnProperty.call(MISSING_DATA_MODES, mode)) {
+    const err = new Error(
+      `Unknown missing-data mode "${mode}" (expected ${Object.keys(
+        MISSING_DATA_MODES
+      ).join(" or ")})`
+    );
+    err.status = 400;
+    throw err;
+  }
+
+  let points = 0;
+  let measuredWeight = 0;
+  let totalWeight = 0;
+  const missing = [];
+  const breakdown = {};
   Object.keys(weights).forEach((key) => {
+    totalWeight += weights[key];
     const raw = metrics[key];
-    if (raw === null || raw === undefined) return;
-    const normalised = normalise(key, raw);
-    total += (normalised * weights[key]) / 10; // weight% * (0-10)/10
+    breakdown[key] = {
+      raw: raw === undefined ? null : raw,
+      normalised: null,
+      weight: weights[key],
+      points: 0,
+      rule: describeCurve(profile.curves[key]),
+    };
+    const dist =
+      calibrated &&
+      pickDistribution(calibrated.calibration, key, calibrated.stratum);
+    if (dist)
+      breakdown[key].rule = describePercentile(dist, profile.curves[key]);
+    if (raw === null || raw === undefined) {
+      missing.push(key);
+      return;
+    }
+    const normalised = normalise(key, raw, profile, calibrated);
+    const metricPoints = (normalised * weights[key]) / 10; // weight% * (0-10)/10
+    breakdown[key].normalised = round2(normalised);
+    breakdown[key].points = round2(metricPoints);
+    points += metricPoints;
+    measuredWeight += weights[key];
+  });
+
+  // points → share of the final 0-100 score
+  let scale;
+  if (mode === MISSING_DATA_MODES.strict) {
+    scale = 100 / totalWeight;
+  } else {
+    // nothing measured → no meaningful score
+    scale = measuredWeight ? 100 / measuredWeight : null;
+  }
+  const score = scale === null ? null : points * scale;
+  Object.values(breakdown).forEach((entry) => {
+    entry.contribution = scale === null ? 0 : round2(entry.points * scale);
+  });
+
+  return {
+    score: score === null ? null : Math.round(score), // nearest integer 0-100
+    coverage: Math.round((measuredWeight / totalWeight) * 100) / 100,
+    mode,
+    profile: profile.name,
+    missing,
+    breakdown,
+  };
+}
+
+/**
+ * Turn a breakdown into one sentence per metric, for write-ups.
+ *
+ * @param {object} breakdown  as returned by scoreDetails
+ * @returns {string[]}
+ */
+function explainBreakdown(breakdown) {
+  return Object.entries(breakdown).map(([key, b]) => {
+    if (b.normalised === null) {
+      return `${key}: not measured (weight ${b.weight}%, 0 points)`;
+    }
+    return (
+      `${key}: raw ${formatRaw(b.raw)} → ${b.normalised}/10 ` +
+      `× ${b.weight}% = ${b.points} pts, ${b.contribution} of the final score ` +
+      `(rule: ${b.rule})`
+    );
   });
-  return Math.round(total); // nearest integer 0-100
 }
 
-module.exports = { normalise, aggregateScore, weights };
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function formatRaw(raw) {
+  return typeof raw === "number" ? round2(raw) : String(raw);
+}
+
+/**
+ * Compute weighted composite (0-100).
+ * @param {object} metrics – keys must include all metric fields.
+ * @param {{ mode?: string, profile?: object }} [options] – see scoreDetails
+ */
+function aggregateScore(metrics, options) {
+  return scoreDetails(metrics, options).score;
+}
+
+module.exports = {
+  normalise,
+  aggregateScore,
+  scoreDetails,
+  explainBreakdown,
+  applyCurve,
+  describeCurve,
+  MISSING_DATA_MODES,
+  NORMALISATION_METHODS,
+};
@@ -0,0 +1,62 @@
+/**
+ * Grade the security posture sub-checks. Each check earns points out of its
+ * maximum; checks we could not see (null) are "unknown" and left out, and
+ * the total is rescaled to 0-10 over the checks that were measured.
+ *
+ *   branchProtection  2.5  protected 1, required reviews 0.75, status checks 0.75
+ *   secretScanning    2    enabled 1.5, no open alerts 0.5
+ *   codeScanning      2    enabled 1.5, no open alerts 0.5
+ *   signedCommits     1.5  scaled by the share of signed commits
+ *   securityPolicy    2    SECURITY.md or private vulnerability reporting
+ *
+ * @param {object} posture  from getSecurityPosture
+ * @returns {{ score: number|null, checks: object }}
+ *   score is null when no check could be measured; checks maps each name to
+ *   { status: "pass"|"partial"|"fail"|"unknown", points, max }
+ */
+function scoreSecurityPosture(posture) {
+  const checks = {};
+  const check = (name, max, points) => {
+    if (points === null) {
+      checks[name] = { status: "unknown", points: null, max };
+      return;
+    }
+    const status = points >= max ? "pass" : points > 0 ? "partial" : "fail";
+    checks[name] = { status, points, max };
+  };
+
+  const bp = posture.branchProtection;
+  check(
+    "branchProtection",
+    2.5,
+    bp.protected
+      ? 1 + (bp.requiredReviews > 0 ? 0.75 : 0) + (bp.statusChecks ? 0.75 : 0)
+      : 0
+  );
+
+  const scanning = (s) =>
+    s.enabled === null ? null : s.enabled ? 1.5 + (s.openAlerts ? 0 : 0.5) : 0;
+  check("secretScanning", 2, scanning(posture.secretScanning));
+  check("codeScanning", 2, scanning(posture.codeScanning));
+
+  const share = posture.signedCommits.signedShare;
+  check("signedCommits", 1.5, share === null ? null : (share / 100) * 1.5);
+
+  const policy = posture.securityPolicy;
+  check(
+    "securityPolicy",
+    2,
+    policy.file || policy.privateReporting
+      ? 2
+      : policy.privateReporting === null
+      ? null
+      : 0
+  );
+
+  const measured = Object.values(checks).filter((c) => c.points !== null);
+  const max = measured.reduce((sum, c) => sum + c.max, 0);
+  const points = measured.reduce((sum, c) => sum + c.points, 0);
+  return { score: max ? (points / max) * 10 : null, checks };
+}
+
+module.exports = { scoreSecurityPosture };
@@ -0,0 +1,164 @@
+const { existsTestFolder } = require("./metricsCalculator");
+
+// Extensions counted as source code, by language
+const LANGUAGES = {
+  js: "JavaScript",
+  jsx: "JavaScript",
+  mjs: "JavaScript",
+  cjs: "JavaScript",
+  ts: "TypeScript",
+  tsx: "TypeScript",
+  py: "Python",
+  go: "Go",
+  java: "Java",
+  kt: "Kotlin",
+  rb: "Ruby",
+  rs: "Rust",
+  php: "PHP",
+  cs: "C#",
+  c: "C",
+  h: "C",
+  cpp: "C++",
+  cc: "C++",
+  hpp: "C++",
+  swift: "Swift",
+  scala: "Scala",
+};
+
+// File-name and directory conventions of the common test runners
+const TEST_FILE_PATTERNS = [
+  /\.(test|spec)\.[cm]?[jt]sx?$/, // jest, mocha, vitest
+  /(^|\/)__tests__\//,
+  /(^|\/)test_[^/]+\.py$/, // pytest / unittest
+  /_test\.py$/,
+  /_test\.go$/, // go test
+  /(^|\/)src\/test\//, // Maven / Gradle layout
+  /Tests?\.(java|kt)$/,
+  /_spec\.rb$/, // RSpec
+  /_test\.rb$/, // minitest
+  /(^|\/)(tests?|spec)\//, // any file under a test/tests/spec directory
+];
+
+// Presence of any matching path means the framework is in use
+const FRAMEWORKS = {
+  jest: [/(^|\/)jest\.config\.[cm]?[jt]s(on)?$/, /(^|\/)__tests__\//],
+  vitest: [/(^|\/)vitest\.config\.[cm]?[jt]s$/],
+  mocha: [/(^|\/)\.mocharc(\.[a-z]+)?$/],
+  pytest: [/(^|\/)pytest\.ini$/, /(^|\/)conftest\.py$/],
+  "go test": [/_test\.go$/],
+  JUnit: [/(^|\/)src\/test\/(java|kotlin)\//],
+  RSpec: [/(^|\/)\.rspec$/, /(^|\/)spec\/spec_helper\.rb$/, /_spec\.rb$/],
+};
+
+// Configuration files of the common CI services, by provider
+const CI_PROVIDERS = {
+  "GitHub Actions": /^\.github\/workflows\/[^/]+\.ya?ml$/,
+  "Travis CI": /^\.travis\.yml$/,
+  CircleCI: /^\.circleci\/config\.ya?ml$/,
+  "GitLab CI": /^\.gitlab-ci\.yml$/,
+  Jenkins: /^Jenkinsfile$/,
+  "Azure Pipelines": /^azure-pipelines\.ya?ml$/,
+  AppVeyor: /^\.?appveyor\.ya?ml$/,
+  Drone: /^\.drone\.ya?ml$/,
+  "Bitbucket Pipelines": /^bitbucket-pipelines\.yml$/,
+};
+
+// Commands that run a test suite when they appear in a CI config
+const CI_TEST_COMMAND =
+  /\b(npm (run )?test|yarn (run )?test|pnpm (run )?test|npx (jest|vitest|mocha)|jest|vitest|pytest|tox|nox|go test|mvn[^\n]*\b(test|verify)|gradlew?[^\n]*\b(test|check|build)|rspec|rake (test|spec)|cargo test|dotnet test|make (test|check)|ctest)\b/;
+
+function extension(path) {
+  const match = /\.([A-Za-z0-9]+)$/.exec(path);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * CI configuration files in a repository tree.
+ *
+ * @param {string[]} paths
+ * @returns {Array<{ path: string, provider: string }>}
+ */
+function findCiConfigs(paths) {
+  const configs = [];
+  paths.forEach((path) => {
+    const provider = Object.keys(CI_PROVIDERS).find((name) =>
+      CI_PROVIDERS[name].test(path)
+    );
+    if (provider) configs.push({ path, provider });
+  });
+  return configs;
+}
+
+/**
+ * Analyse a repository's test suite from its file list.
+ *
+ * Only files with a known source extension are counted; a source file is a
+ * test file when its path matches a test-runner convention.
+ *
+ * @param {string[]} paths  every file path in the tree
+ * @param {Array<{ path: string, content: string }>} [ciConfigs]  CI config files
+ * @returns {{ testFiles: number, sourceFiles: number, ratio: number|null, frameworks: string[], languages: string[], testFolder: boolean, ci: { configs: string[], runsTests: string[] } }}
+ *   ratio is test files per non-test source file; ci.runsTests lists the
+ *   configs that invoke a test command
+ */
+function analyseTests(paths, ciConfigs = []) {
+  let testFiles = 0;
+  let sourceFiles = 0;
+  const languages = new Set();
+  paths.forEach((p) => {
+    const language = LANGUAGES[extension(p)];
+    if (!language) return;
+    if (TEST_FILE_PATTERNS.some((re) => re.test(p))) {
+      testFiles++;
+      languages.add(language);
+    } else {
+      sourceFiles++;
+    }
+  });
+
+  const frameworks = Object.keys(FRAMEWORKS).filter((name) =>
+    FRAMEWORKS[name].some((re) => paths.some((p) => re.test(p)))
+  );
+  const rootDirs = [
+    ...new Set(
+      paths.filter((p) => p.includes("/")).map((p) => p.split("/")[0])
+    ),
+  ].map((name) => ({ name, type: "dir" }));
+
+  return {
+    testFiles,
+    sourceFiles,
+    ratio: sourceFiles ? testFiles / sourceFiles : null,
+    frameworks,
+    languages: [...languages],
+    testFolder: existsTestFolder(rootDirs),
+    ci: {
+      configs: ciConfigs.map((c) => c.path),
+      runsTests: ciConfigs
+        .filter((c) => CI_TEST_COMMAND.test(c.content))
+        .map((c) => c.path),
+    },
+  };
+}
+
+/**
+ * Grade a test analysis 0-10:
+ *   3  any test files
+ *   4  test-to-source ratio, full marks at 0.5 or more
+ *   1  a known framework detected
+ *   2  tests run in CI
+ *
+ * @param {object} analysis  from analyseTests
+ * @returns {number}
+ */
+function scoreTestSuite(analysis) {
+  if (!analysis.testFiles) return 0;
+  let score = 3;
+  score +=
+    Math.min((analysis.ratio === null ? 1 : analysis.ratio) / 0.5, 1) * 4;
+  if (analysis.frameworks.length) score += 1;
+  if (analysis.ci.runsTests.length) score += 2;
+  return score;
+}
+
+module.exports = { findCiConfigs, analyseTests, scoreTestSuite };
@@ -0,0 +1,117 @@
+const { DAY_MS } = require("./dateUtils");
+
+/**
+ * Least-squares slope of y over x.
+ *
+ * @param {Array<{ x: number, y: number }>} points
+ * @returns {number|null} Slope, or null with fewer than 2 distinct x values
+ */
+function linearSlope(points) {
+  const n = points.length;
+  if (n < 2) return null;
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+  let num = 0;
+  let den = 0;
+  points.forEach((p) => {
+    num += (p.x - meanX) * (p.y - meanY);
+    den += (p.x - meanX) ** 2;
+  });
+  return den === 0 ? null : num / den;
+}
+
+/**
+ * Snapshots scored the same way, so that differences between them are
+ * changes in the repository rather than in the scoring. Older snapshots
+ * without a normalisation, window or label filter were scored with the
+ * defaults.
+ *
+ * @param {object[]} snapshots
+ * @param {{ profile: string, mode: string, normalisation: string, windowDays: number, labels: string[] }} scoring
+ * @param {{ normalisation: string, windowDays: number }} defaults
+ * @returns {object[]}
+ */
+function filterComparable(snapshots, scoring, defaults) {
+  const labelKey = (labels) => [...(labels || [])].sort().join(",");
+  return snapshots.filter(
+    (s) =>
+      s.profile === scoring.profile &&
+      s.mode === scoring.mode &&
+      (s.normalisation || defaults.normalisation) === scoring.normalisation &&
+      (s.windowDays || defaults.windowDays) === scoring.windowDays &&
+      labelKey(s.labels) === labelKey(scoring.labels)
+  );
+}
+
+/**
+ * Summarise how each metric moved across a series of score snapshots.
+ *
+ * For every metric (plus overallScore): first and last value, delta, and the
+ * regression slope per day. The biggest mover is the metric with the largest
+ * change in its normalised 0-10 value between two consecutive snapshots, so
+ * metrics on different scales can be compared.
+ *
+ * Booleans are treated as 0/1; null values are skipped.
+ *
+ * The snapshots should come from one scoring setup (see filterComparable),
+ * or a profile switch shows up as a move.
+ *
+ * @param {Array<{ timestamp: string, overallScore: number|null, metrics: object, normalised?: object }>} snapshots  oldest first
+ * @returns {{ metrics: object, biggestMover: object|null }}
+ */
+function summariseTrend(snapshots) {
+  const series = {};
+  const push = (key, t, value) => {
+    if (value === null || value === undefined) return;
+    const y = typeof value === "boolean" ? Number(value) : value;
+    if (typeof y !== "number") return;
+    (series[key] = series[key] || []).push({ t, y });
+  };
+
+  snapshots.forEach((s) => {
+    const t = new Date(s.timestamp).getTime();
+    push("overallScore", t, s.overallScore);
+    Object.entries(s.metrics || {}).forEach(([key, value]) => {
+      if (key !== "overallScore") push(key, t, value);
+    });
+  });
+
+  const metrics = {};
+  Object.entries(series).forEach(([key, points]) => {
+    const first = points[0];
+    const last = points[points.length - 1];
+    const slope = linearSlope(points.map((p) => ({ x: p.t / DAY_MS, y: p.y })));
+    metrics[key] = {
+      samples: points.length,
+      first: first.y,
+      last: last.y,
+      delta: last.y - first.y,
+      slopePerDay: slope,
+    };
+  });
+
+  let biggestMover = null;
+  for (let i = 1; i < snapshots.length; i++) {
+    const prev = snapshots[i - 1].normalised || {};
+    const curr = snapshots[i].normalised || {};
+    Object.keys(curr).forEach((key) => {
+      if (typeof prev[key] !== "number" || typeof curr[key] !== "number") {
+        return;
+      }
+      const change = curr[key] - prev[key];
+      if (change === 0) return;
+      if (!biggestMover || Math.abs(change) > Math.abs(biggestMover.change)) {
+        biggestMover = {
+          metric: key,
+          change, // normalised 0-10 points
+          from: snapshots[i - 1].timestamp,
+          to: snapshots[i].timestamp,
+        };
+      }
+    });
+  }
+
+  return { metrics, biggestMover };
+}
+
+module.exports = { linearSlope, filterComparable, summariseTrend };